@@ -0,0 +1,84 @@
+/**
+ * badges.js - Pagina cu insigne
+ *
+ * Afișează toate realizările: cele câștigate, cu data, și cele încă
+ * blocate, cu progresul până la ele.
+ */
+
+import { achievementTracker } from './modules/achievements.js';
+
+/**
+ * Controller-ul galeriei de insigne
+ */
+class BadgeGalleryController {
+    constructor() {
+        this.tracker = achievementTracker;
+        this.elements = {};
+    }
+
+    /**
+     * Inițializează galeria
+     */
+    init() {
+        this.elements = {
+            gallery: document.getElementById('badgeGallery'),
+            summary: document.getElementById('badgeSummary')
+        };
+
+        this.render();
+    }
+
+    /**
+     * Desenează galeria
+     */
+    render() {
+        const { gallery, summary } = this.elements;
+        if (!gallery) return;
+
+        const badges = this.tracker.getGallery();
+        const unlocked = badges.filter(badge => badge.unlockedAt).length;
+
+        gallery.innerHTML = '';
+        badges.forEach(badge => gallery.appendChild(this.createCard(badge)));
+
+        if (summary && unlocked > 0) {
+            summary.textContent = `Ai câștigat ${unlocked} din ${badges.length} insigne.`;
+        }
+    }
+
+    /**
+     * Creează cardul unei insigne
+     * @param {Object} badge - `{ achievement, unlockedAt, progress }`
+     * @returns {HTMLElement}
+     */
+    createCard({ achievement, unlockedAt, progress }) {
+        const card = document.createElement('div');
+        card.className = `badge-card ${unlockedAt ? 'unlocked' : 'locked'}`;
+
+        let status = 'Blocată';
+        if (unlockedAt) {
+            status = `Câștigată pe ${new Date(unlockedAt).toLocaleDateString('ro-RO')}`;
+        } else if (progress) {
+            status = `Progres: ${progress.current} / ${progress.target}`;
+        }
+
+        [
+            ['badge-icon', achievement.icon],
+            ['badge-name', achievement.name],
+            ['badge-description', achievement.description],
+            ['badge-status', status]
+        ].forEach(([className, text]) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            card.appendChild(line);
+        });
+
+        return card;
+    }
+}
+
+// Inițializează pagina când DOM-ul e gata
+document.addEventListener('DOMContentLoaded', () => {
+    new BadgeGalleryController().init();
+});
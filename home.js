@@ -0,0 +1,197 @@
+/**
+ * home.js - Pagina principală
+ *
+ * Afișează harta campaniei și clasamentul jocurilor salvate, filtrabil
+ * după metodă și dificultate.
+ */
+
+import { ALGORITHMS } from './modules/algorithms.js';
+import { CUSTOM_DIFFICULTY, DIFFICULTY_PRESETS, GIVEN_ARRAY_DIFFICULTY } from './modules/difficulty.js';
+import { scoreStore } from './modules/scores.js';
+import { campaignProgress, getLevelAlgorithmName } from './modules/campaign.js';
+
+/**
+ * Dificultățile care pot apărea în rezultate
+ */
+const DIFFICULTY_NAMES = {
+    ...Object.fromEntries(Object.values(DIFFICULTY_PRESETS).map(preset => [preset.key, preset.name])),
+    [CUSTOM_DIFFICULTY]: 'Personalizat',
+    [GIVEN_ARRAY_DIFFICULTY]: 'Vector propriu'
+};
+
+/**
+ * Controller-ul clasamentului de pe pagina principală
+ */
+class LeaderboardController {
+    constructor() {
+        this.scores = scoreStore;
+        this.elements = {};
+    }
+
+    /**
+     * Inițializează clasamentul
+     */
+    init() {
+        this.elements = {
+            algorithmFilter: document.getElementById('leaderboardAlgorithm'),
+            difficultyFilter: document.getElementById('leaderboardDifficulty'),
+            body: document.getElementById('leaderboardBody'),
+            empty: document.getElementById('leaderboardEmpty')
+        };
+
+        this.fillOptions(this.elements.algorithmFilter, Object.fromEntries(
+            Object.values(ALGORITHMS).map(algorithm => [algorithm.key, algorithm.name])
+        ));
+        this.fillOptions(this.elements.difficultyFilter, DIFFICULTY_NAMES);
+
+        this.elements.algorithmFilter?.addEventListener('change', () => this.render());
+        this.elements.difficultyFilter?.addEventListener('change', () => this.render());
+
+        this.render();
+    }
+
+    /**
+     * Adaugă opțiunile unui filtru (după opțiunea „Toate”)
+     * @param {HTMLSelectElement} select - Filtrul
+     * @param {Object} options - `{ valoare: eticheta }`
+     */
+    fillOptions(select, options) {
+        if (!select) return;
+
+        Object.entries(options).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Redesenează tabelul pentru filtrele curente
+     */
+    render() {
+        const { body, empty, algorithmFilter, difficultyFilter } = this.elements;
+        if (!body) return;
+
+        const rows = this.scores.getLeaderboard({
+            algorithm: algorithmFilter?.value || null,
+            difficulty: difficultyFilter?.value || null
+        });
+
+        body.innerHTML = '';
+        rows.forEach((score, index) => body.appendChild(this.createRow(score, index + 1)));
+
+        if (empty) {
+            empty.style.display = rows.length === 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Creează rândul unui rezultat
+     * @param {Object} score - Rezultatul salvat
+     * @param {number} rank - Locul în clasament
+     * @returns {HTMLTableRowElement}
+     */
+    createRow(score, rank) {
+        const row = document.createElement('tr');
+        const cells = [
+            rank,
+            score.nickname,
+            score.algorithmName,
+            `${DIFFICULTY_NAMES[score.difficulty] || score.difficultyName} (${score.length})`,
+            `${score.efficiency}%`,
+            `${score.duration}s`,
+            score.totalMoves,
+            new Date(score.date).toLocaleDateString('ro-RO')
+        ];
+
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+}
+
+/**
+ * Controller-ul hărții campaniei de pe pagina principală
+ */
+class CampaignMapController {
+    constructor() {
+        this.progress = campaignProgress;
+        this.elements = {};
+    }
+
+    /**
+     * Inițializează harta
+     */
+    init() {
+        this.elements = {
+            map: document.getElementById('campaignMap'),
+            summary: document.getElementById('campaignProgress')
+        };
+
+        this.render();
+    }
+
+    /**
+     * Desenează nivelurile: trecute, nivelul curent și cele încă blocate
+     */
+    render() {
+        const { map, summary } = this.elements;
+        if (!map) return;
+
+        const levels = this.progress.getLevels();
+        const passed = levels.filter(state => state.passed).length;
+
+        map.innerHTML = '';
+        levels.forEach(state => map.appendChild(this.createCard(state)));
+
+        if (summary) {
+            summary.textContent = `${passed} / ${levels.length} niveluri`;
+        }
+    }
+
+    /**
+     * Creează cardul unui nivel; doar nivelurile deblocate sunt linkuri
+     * @param {Object} state - `{ level, unlocked, passed, bestEfficiency }`
+     * @returns {HTMLElement}
+     */
+    createCard({ level, unlocked, passed, bestEfficiency }) {
+        const card = document.createElement(unlocked ? 'a' : 'div');
+        card.className = 'level-card';
+
+        if (unlocked) {
+            card.href = `game.html?level=${level.id}`;
+            card.classList.add(passed ? 'passed' : 'current');
+        } else {
+            card.classList.add('locked');
+        }
+
+        let detail = `${getLevelAlgorithmName(level)} · ${level.difficulty.length} elemente · minim ${level.minEfficiency}%`;
+        if (passed) {
+            detail = `${getLevelAlgorithmName(level)} · cel mai bun: ${bestEfficiency}%`;
+        }
+
+        [
+            ['level-number', `${passed ? '⭐' : unlocked ? '▶' : '🔒'} Nivelul ${level.id}`],
+            ['level-name', level.name],
+            ['level-detail', detail]
+        ].forEach(([className, text]) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            card.appendChild(line);
+        });
+
+        return card;
+    }
+}
+
+// Inițializează pagina când DOM-ul e gata
+document.addEventListener('DOMContentLoaded', () => {
+    new CampaignMapController().init();
+    new LeaderboardController().init();
+});
@@ -5,8 +5,34 @@
  * și gestionează evenimentele principale.
  */
 
-import { gameEngine, GAME_STATES } from './modules/game-engine.js';
+import { gameEngine, GAME_STATES, LOG_EVENTS } from './modules/game-engine.js';
 import { uiManager } from './modules/ui-manager.js';
+import { ROWS, isTransferStep, isSkipStep, getSortedRegion } from './modules/algorithms.js';
+import { decodePuzzleCode } from './modules/puzzle-code.js';
+import { parseCustomArray } from './modules/difficulty.js';
+import { parsePlayerNames } from './modules/hot-seat.js';
+import { SORT_ORDERS } from './modules/sort-order.js';
+import { scoreStore } from './modules/scores.js';
+import { Playback } from './modules/playback.js';
+import { SessionReplay } from './modules/replay.js';
+import { SortDemo } from './modules/demo.js';
+import { DuelClient, createDuelPuzzle, getDefaultDuelUrl } from './modules/duel.js';
+import { normalizeRoomCode } from './modules/duel-protocol.js';
+import {
+    AssignmentRun, EXERCISE_STATUS, parseAssignment, getReportFilename
+} from './modules/assignment.js';
+import {
+    campaignProgress, getCampaignLevel, getLevelAlgorithmName, getLevelGameOptions
+} from './modules/campaign.js';
+import { achievementTracker, ACHIEVEMENT_EVENTS } from './modules/achievements.js';
+import {
+    sessionsToJSON, sessionsToCSV, parseSessionsJSON, getExportFilename
+} from './modules/session-export.js';
+
+/**
+ * Etichetele contorului din panoul de redare, în modul demonstrație
+ */
+const DEMO_LABELS = { one: 'Pasul', many: 'pași' };
 
 /**
  * Controller principal al aplicației
@@ -15,6 +41,15 @@ class AppController {
     constructor() {
         this.engine = gameEngine;
         this.ui = uiManager;
+        this.scores = scoreStore;
+        this.timerInterval = null;
+        this.replay = null;
+        this.demo = null;
+        this.playback = null;
+        this.duel = null;
+        this.assignment = null;
+        this.campaign = null;
+        this.demoSeed = null;
     }
 
     /**
@@ -29,6 +64,15 @@ class AppController {
 
         // Setează starea inițială
         this.ui.resetUI();
+        this.ui.setViewMode(this.ui.getViewMode());
+        this.ui.setNicknameInput(this.scores.getNickname());
+        this.ui.setDuelServerInput(getDefaultDuelUrl());
+
+        // Un nivel al campaniei se deschide din harta de pe pagina principală (game.html?level=3)
+        const levelId = new URLSearchParams(window.location.search).get('level');
+        if (levelId) {
+            this.startCampaignLevel(levelId);
+        }
 
         console.log('Provocarea Sortării - Aplicație inițializată');
     }
@@ -49,6 +93,36 @@ class AppController {
         const resetBtn = document.getElementById('resetBtn');
         resetBtn?.addEventListener('click', () => this.resetGame());
 
+        // Butoane Anulează / Refă
+        const undoBtn = document.getElementById('undoBtn');
+        undoBtn?.addEventListener('click', () => this.undoMove());
+
+        const redoBtn = document.getElementById('redoBtn');
+        redoBtn?.addEventListener('click', () => this.redoMove());
+
+        // Buton Pauză / Continuă
+        const pauseBtn = document.getElementById('pauseBtn');
+        pauseBtn?.addEventListener('click', () => this.togglePause());
+
+        // Click pe overlay-ul de pauză reia jocul
+        const pauseOverlay = document.getElementById('pauseOverlay');
+        pauseOverlay?.addEventListener('click', () => this.togglePause());
+
+        // Pauză automată când elevul părăsește tab-ul
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.engine.state === GAME_STATES.PLAYING) {
+                this.togglePause();
+            }
+        });
+
+        // Buton Demonstrație
+        const demoBtn = document.getElementById('demoBtn');
+        demoBtn?.addEventListener('click', () => this.startDemo());
+
+        // Buton Nicio Schimbare (modul strict)
+        const skipBtn = document.getElementById('skipBtn');
+        skipBtn?.addEventListener('click', () => this.confirmNoSwap());
+
         // Butoane pentru selectarea metodei
         const methodButtons = document.querySelectorAll('.method-btn');
         methodButtons.forEach(btn => {
@@ -60,6 +134,89 @@ class AppController {
             });
         });
 
+        // Schimbarea schemei de partiționare repornește jocul de Quick Sort
+        const partitionScheme = document.getElementById('partitionScheme');
+        partitionScheme?.addEventListener('change', () => {
+            if (this.engine.currentAlgorithm?.key === 'quick') {
+                this.startNewGame('quick', { numbers: this.engine.options.numbers });
+            }
+        });
+
+        // Schimbarea ordinii de sortare repornește jocul curent
+        const sortDirection = document.getElementById('sortDirection');
+        sortDirection?.addEventListener('change', () => {
+            if (this.engine.state !== GAME_STATES.IDLE) {
+                this.startNewGame(this.engine.currentAlgorithm?.key, { numbers: this.engine.options.numbers });
+            }
+        });
+
+        // Modul de afișare (carduri sau bare) se schimbă fără a reporni jocul
+        const viewMode = document.getElementById('viewMode');
+        viewMode?.addEventListener('change', () => this.ui.setViewMode(viewMode.value));
+
+        // Indicațiile se pot ascunde oricând; cele văzute rămân numărate în joc
+        const showHints = document.getElementById('showHints');
+        showHints?.addEventListener('change', () => {
+            this.ui.renderExpectedMove();
+            if (this.ui.areHintsEnabled() && this.ui.expectedMoveHint) {
+                this.engine.recordHint();
+            }
+        });
+
+        // Activarea/dezactivarea modului strict repornește jocul curent
+        const strictMode = document.getElementById('strictMode');
+        strictMode?.addEventListener('change', () => {
+            this.ui.setStrictMode(this.ui.isStrictMode());
+            if (this.engine.state !== GAME_STATES.IDLE) {
+                // Un vector dat explicit se păstrează la repornire
+                this.startNewGame(this.engine.currentAlgorithm?.key, { numbers: this.engine.options.numbers });
+            }
+        });
+
+        // Câmpurile personalizate apar doar pentru dificultatea „Personalizat”
+        const difficultySelect = document.getElementById('difficultySelect');
+        difficultySelect?.addEventListener('change', () => {
+            this.ui.toggleCustomDifficulty(difficultySelect.value === 'custom');
+        });
+
+        // Numele jucătorilor apar doar când se joacă pe rând
+        const hotSeatMode = document.getElementById('hotSeatMode');
+        hotSeatMode?.addEventListener('change', () => {
+            this.ui.toggleHotSeatPlayers(hotSeatMode.checked);
+        });
+
+        // Încărcarea unui puzzle după cod
+        const loadPuzzleBtn = document.getElementById('loadPuzzleBtn');
+        loadPuzzleBtn?.addEventListener('click', () => this.loadPuzzleCode(this.ui.getPuzzleCodeInput()));
+
+        // Porecla se salvează pentru rezultatele următoare
+        const nicknameInput = document.getElementById('nicknameInput');
+        nicknameInput?.addEventListener('change', () => {
+            this.ui.setNicknameInput(this.scores.setNickname(this.ui.getNicknameInput()));
+        });
+
+        // Pornirea unui joc pe vectorul introdus de profesor
+        const customArrayBtn = document.getElementById('customArrayBtn');
+        customArrayBtn?.addEventListener('click', () => this.startCustomArrayGame());
+
+        const customArrayInput = document.getElementById('customArrayInput');
+        customArrayInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.startCustomArrayGame();
+            }
+        });
+
+        const puzzleCodeInput = document.getElementById('puzzleCodeInput');
+        puzzleCodeInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.loadPuzzleCode(this.ui.getPuzzleCodeInput());
+            }
+        });
+
+        // Click pe cod îl copiază în clipboard
+        const puzzleCode = document.getElementById('puzzleCode');
+        puzzleCode?.addEventListener('click', () => this.copyPuzzleCode());
+
         // Modal - buton închidere
         const modalClose = document.getElementById('modalClose');
         modalClose?.addEventListener('click', () => this.ui.closeModal());
@@ -68,7 +225,87 @@ class AppController {
         const playAgainBtn = document.getElementById('playAgainBtn');
         playAgainBtn?.addEventListener('click', () => {
             this.ui.closeModal();
-            this.startNewGame();
+            if (this.isCampaignGame()) {
+                this.startCampaignLevel(this.campaign.level.id);
+            } else {
+                this.startNewGame();
+            }
+        });
+
+        // Modal - buton reluare
+        const replayBtn = document.getElementById('replayBtn');
+        replayBtn?.addEventListener('click', () => this.startReplay());
+
+        // Controalele reluării (folosite și de demonstrație)
+        const replayBackBtn = document.getElementById('replayBackBtn');
+        replayBackBtn?.addEventListener('click', () => {
+            this.playback?.pause();
+            this.playback?.back();
+        });
+
+        const replayPlayBtn = document.getElementById('replayPlayBtn');
+        replayPlayBtn?.addEventListener('click', () => this.playback?.toggle());
+
+        const replayStepBtn = document.getElementById('replayStepBtn');
+        replayStepBtn?.addEventListener('click', () => {
+            this.playback?.pause();
+            this.playback?.step();
+        });
+
+        const replaySpeed = document.getElementById('replaySpeed');
+        replaySpeed?.addEventListener('input', () => this.playback?.setSpeed(replaySpeed.value));
+
+        const replayExitBtn = document.getElementById('replayExitBtn');
+        replayExitBtn?.addEventListener('click', () => (this.demo ? this.exitDemo() : this.exitReplay()));
+
+        // Duelul în rețea
+        const duelJoinBtn = document.getElementById('duelJoinBtn');
+        duelJoinBtn?.addEventListener('click', () => this.joinDuel());
+
+        const duelLeaveBtn = document.getElementById('duelLeaveBtn');
+        duelLeaveBtn?.addEventListener('click', () => this.leaveDuel('Ai părăsit duelul.'));
+
+        // Tema dată de profesor
+        const assignmentInput = document.getElementById('assignmentInput');
+        const loadAssignmentBtn = document.getElementById('loadAssignmentBtn');
+        loadAssignmentBtn?.addEventListener('click', () => assignmentInput?.click());
+        assignmentInput?.addEventListener('change', () => {
+            const [file] = assignmentInput.files;
+            assignmentInput.value = '';
+            if (file) {
+                this.loadAssignment(file);
+            }
+        });
+
+        const assignmentNextBtn = document.getElementById('assignmentNextBtn');
+        assignmentNextBtn?.addEventListener('click', () => this.nextAssignmentExercise());
+
+        const assignmentSkipBtn = document.getElementById('assignmentSkipBtn');
+        assignmentSkipBtn?.addEventListener('click', () => this.skipAssignmentExercise());
+
+        const assignmentReportBtn = document.getElementById('assignmentReportBtn');
+        assignmentReportBtn?.addEventListener('click', () => this.downloadAssignmentReport());
+
+        const assignmentCloseBtn = document.getElementById('assignmentCloseBtn');
+        assignmentCloseBtn?.addEventListener('click', () => this.closeAssignment());
+
+        // Exportul sesiunilor
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        exportJsonBtn?.addEventListener('click', () => this.exportSessions('json'));
+
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        exportCsvBtn?.addEventListener('click', () => this.exportSessions('csv'));
+
+        // Importul unei sesiuni pentru analiză
+        const importSessionInput = document.getElementById('importSessionInput');
+        const importSessionBtn = document.getElementById('importSessionBtn');
+        importSessionBtn?.addEventListener('click', () => importSessionInput?.click());
+        importSessionInput?.addEventListener('change', () => {
+            const [file] = importSessionInput.files;
+            importSessionInput.value = '';
+            if (file) {
+                this.importSessions(file);
+            }
         });
 
         // Închide modal la click în afara lui
@@ -84,65 +321,218 @@ class AppController {
             if (e.key === 'Escape') {
                 this.ui.closeModal();
                 this.ui.deselectAllCards();
-                this.engine.selectedIndex = null;
+                this.engine.clearSelection();
+            }
+
+            // Ctrl+Z anulează, Ctrl+Y sau Ctrl+Shift+Z reface
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undoMove();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redoMove();
+                }
             }
         });
     }
 
+    /**
+     * Construiește opțiunile de joc din setările din interfață
+     * @returns {Object}
+     * @throws {Error} - Dacă numele jucătorilor (la jocul pe rând) nu sunt valide
+     */
+    getGameOptions() {
+        const hotSeat = this.ui.getHotSeatSettings();
+
+        return {
+            partitionScheme: this.ui.getPartitionScheme(),
+            direction: this.ui.getSortDirection(),
+            strict: this.ui.isStrictMode(),
+            players: hotSeat.enabled ? parsePlayerNames(hotSeat.names) : null,
+            ...this.ui.getDifficultySettings()
+        };
+    }
+
     /**
      * Pornește un joc nou
      * @param {string} algorithmKey - Cheia algoritmului (opțional)
+     * @param {Object} overrides - Opțiuni care înlocuiesc setările din interfață (ex. `seed`)
      */
-    startNewGame(algorithmKey = null) {
+    startNewGame(algorithmKey = null, overrides = {}) {
         try {
+            const options = { ...this.getGameOptions(), ...overrides };
+
+            if (this.assignment && !this.assignment.allowsGame(algorithmKey, options)) {
+                this.ui.showToast('În timpul temei se lucrează doar exercițiul curent. Închide tema pentru un joc liber.', 'error', 4000);
+                return;
+            }
+
+            this.stopReplay();
+
             // Pornește jocul în engine
-            const gameData = this.engine.startNewGame(algorithmKey);
+            const gameData = this.engine.startNewGame(algorithmKey, options);
 
             // Actualizează UI
             this.ui.setAlgorithmTitle(gameData.algorithm.name);
             this.ui.setAlgorithmInfo(gameData.algorithm);
+            const firstPlayer = this.engine.getCurrentPlayer();
             this.ui.setStatusMessage(
-                `Misiune: Sortează folosind ${gameData.algorithm.name}!`,
+                firstPlayer
+                    ? `Misiune: Sortați pe rând folosind ${gameData.algorithm.name}! Începe ${firstPlayer.name}.`
+                    : `Misiune: Sortează folosind ${gameData.algorithm.name}!`,
                 'info'
             );
+            this.updateTurnIndicator();
 
             // Renderează numerele
-            this.ui.renderNumbers(gameData.numbers, (index) => this.handleCardClick(index));
+            this.renderBoard();
 
             // Actualizează progres și statistici
             this.ui.updateProgress({ completed: 0, total: gameData.totalSteps, percentage: 0 });
-            this.ui.updateStats({ totalMoves: 0, correctMoves: 0, efficiency: 100 });
+            this.ui.updateStats({ totalMoves: 0, correctMoves: 0, efficiency: 100, undos: 0 });
 
             // Afișează indicația pentru prima mutare
-            this.ui.setExpectedMoveHint(gameData.firstHint);
+            this.showNextMoveHint(gameData.firstHint);
+            this.ui.setPuzzleCode(gameData.puzzleCode);
 
             // Activează butoanele
-            this.ui.setButtonStates({ start: true, check: true, reset: true });
+            this.ui.setStrictMode(Boolean(this.engine.options.strict));
+            this.ui.setButtonStates({
+                start: true, check: true, reset: true, skip: true, undo: false, redo: false, pause: true, demo: true
+            });
+            this.ui.setPaused(false);
+            this.startTimer();
+            this.syncDuel();
+            this.syncAssignment();
 
             // Afișează toast
-            this.ui.showToast(`Joc nou început: ${gameData.algorithm.name}`, 'info');
+            this.ui.showToast(
+                `Joc nou început: ${gameData.algorithm.name} (${gameData.difficulty.name})`,
+                'info'
+            );
 
         } catch (error) {
             console.error('Eroare la pornirea jocului:', error);
-            this.ui.showToast('Eroare la pornirea jocului!', 'error');
+            this.ui.showToast(`Eroare la pornirea jocului: ${error.message}`, 'error', 4000);
+        }
+    }
+
+    /**
+     * Desenează tabla (vectorul și, dacă e cazul, bufferul) pentru un motor de joc
+     * @param {GameEngine} engine - Motorul afișat (implicit jocul curent)
+     * @param {Function} onCardClick - `(index, row)`, apelată la click pe un card
+     */
+    renderBoard(engine = this.engine, onCardClick = (index, row) => this.handleCardClick(index, row)) {
+        this.ui.renderNumbers(engine.numbers, (index) => onCardClick(index, ROWS.MAIN), engine.getTags());
+        if (engine.currentAlgorithm?.usesBuffer) {
+            this.ui.renderBuffer(engine.buffer, (index) => onCardClick(index, ROWS.BUFFER), engine.getTags(ROWS.BUFFER));
+        }
+        this.updateStepContext(engine, onCardClick);
+    }
+
+    /**
+     * Actualizează vizualizările legate de pasul curent
+     * (partiția activă, linia de pseudocod, zona sortată, arborele heap-ului)
+     * @param {GameEngine} engine - Motorul afișat (implicit jocul curent)
+     * @param {Function} onCardClick - `(index, row)`, apelată la click pe un nod din arbore
+     */
+    updateStepContext(engine = this.engine, onCardClick = (index, row) => this.handleCardClick(index, row)) {
+        const step = engine.getCurrentExpectedStep();
+        this.ui.highlightPartition(step);
+        this.ui.highlightPseudocode(step);
+        this.ui.showSortedRegion(
+            getSortedRegion(engine.currentAlgorithm?.key, step, engine.numbers.length, engine.sortOrder)
+        );
+
+        if (engine.currentAlgorithm?.showsTree) {
+            this.ui.renderHeapTree(engine.numbers, step, (index) => onCardClick(index, ROWS.MAIN));
+        } else {
+            this.ui.hideHeapTree();
+        }
+    }
+
+    /**
+     * Pornește puzzle-ul descris de un cod
+     * @param {string} code - Codul introdus de jucător
+     */
+    loadPuzzleCode(code) {
+        let puzzle;
+        try {
+            puzzle = decodePuzzleCode(code);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        const { algorithmKey, ...overrides } = puzzle;
+        if (overrides.partitionScheme) {
+            this.ui.setPartitionScheme(overrides.partitionScheme);
+        }
+        this.ui.setSortDirection(overrides.direction);
+        if (overrides.numbers) {
+            this.ui.setCustomArrayInput(overrides.numbers, algorithmKey);
+        } else {
+            this.ui.setDifficultySettings(overrides);
+        }
+
+        this.startNewGame(algorithmKey, overrides);
+    }
+
+    /**
+     * Pornește un joc pe vectorul introdus în formularul „Vector Propriu”
+     */
+    startCustomArrayGame() {
+        const { text, algorithmKey } = this.ui.getCustomArrayInput();
+
+        let numbers;
+        try {
+            numbers = parseCustomArray(text, SORT_ORDERS[this.ui.getSortDirection()]);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        this.startNewGame(algorithmKey, { numbers });
+    }
+
+    /**
+     * Copiază codul puzzle-ului curent în clipboard
+     */
+    async copyPuzzleCode() {
+        const code = this.engine.getPuzzleCode();
+        if (!code) return;
+
+        try {
+            await navigator.clipboard.writeText(code);
+            this.ui.showToast(`Cod copiat: ${code}`, 'info', 1500);
+        } catch (error) {
+            this.ui.showToast(`Codul puzzle-ului: ${code}`, 'info');
         }
     }
 
     /**
      * Gestionează click-ul pe un card
      * @param {number} index - Indexul cardului
+     * @param {string} row - Rândul cardului ('main' sau 'buffer')
      */
-    async handleCardClick(index) {
+    async handleCardClick(index, row = ROWS.MAIN) {
+        if (this.engine.isPaused()) {
+            this.ui.showToast('Jocul este în pauză! Apasă „Continuă”.', 'error');
+            return;
+        }
+
         if (this.engine.state !== GAME_STATES.PLAYING) {
             this.ui.showToast('Pornește un joc nou pentru a începe!', 'error');
             return;
         }
 
-        const result = this.engine.selectElement(index);
+        const result = this.engine.selectElement(index, row);
 
         if (result.action === 'selected') {
             // Element selectat
-            this.ui.selectCard(index);
+            this.ui.selectCard(index, row);
             this.ui.setStatusMessage(result.message);
 
         } else if (result.action === 'deselected') {
@@ -150,41 +540,230 @@ class AppController {
             this.ui.deselectAllCards();
             this.ui.setStatusMessage('Selectează două elemente pentru a le schimba.');
 
-        } else if (result.correct) {
-            // Mutare corectă
-            await this.ui.animateCorrectSwap(result.indices, this.engine.numbers);
+        } else {
+            await this.handleMoveResult(result);
+        }
+    }
+
+    /**
+     * Confirmă că pasul curent nu necesită nicio schimbare (modul strict)
+     */
+    async confirmNoSwap() {
+        if (this.engine.isPaused()) {
+            this.ui.showToast('Jocul este în pauză! Apasă „Continuă”.', 'error');
+            return;
+        }
+
+        if (this.engine.state !== GAME_STATES.PLAYING) {
+            this.ui.showToast('Pornește un joc nou pentru a începe!', 'error');
+            return;
+        }
+
+        this.ui.deselectAllCards();
+        const result = this.engine.confirmNoSwap();
+        await this.handleMoveResult(result);
+    }
 
+    /**
+     * Actualizează interfața după o mutare (corectă sau greșită)
+     * @param {Object} result - Rezultatul returnat de engine
+     */
+    async handleMoveResult(result) {
+        await this.animateMoveResult(result);
+        this.updateTurnIndicator();
+        this.duel?.sendProgress(this.engine);
+
+        // Când se joacă pe rând, mesajul anunță și cine urmează
+        const nextTurn = result.turn && !result.completed ? ` Urmează ${result.turn.nextPlayer}.` : '';
+
+        if (result.correct) {
             // Actualizează UI
-            const gameState = this.engine.getGameState();
-            this.ui.updateStats(gameState.stats);
-            this.ui.updateProgress(gameState.progress);
-            this.ui.setExpectedMoveHint(result.nextHint);
+            this.showNextMoveHint(result.nextHint);
+            this.updateStepContext();
+            this.updateHistoryButtons();
 
             if (result.completed) {
                 // Joc terminat
                 this.handleGameComplete();
             } else {
-                this.ui.setStatusMessage('Corect! Continuă.', 'success');
-                this.ui.showToast('Corect! Continuă.', 'success', 1500);
+                const message = result.turn ? `Corect, ${result.turn.player}!${nextTurn}` : 'Corect! Continuă.';
+                this.ui.setStatusMessage(message, 'success');
+                this.ui.showToast(message, 'success', 1500);
             }
 
         } else {
             // Mutare greșită
-            await this.ui.animateIncorrectMove(result.indices);
+            this.ui.setStatusMessage(`${result.message}${nextTurn}`, 'error');
+            this.ui.showToast(`${result.message}${nextTurn}`, 'error', 4000);
+        }
+    }
+
+    /**
+     * Afișează în header cine este la rând (doar când se joacă pe rând)
+     */
+    updateTurnIndicator() {
+        const { players, currentPlayer, state } = this.engine.getGameState();
+        this.ui.setTurnIndicator(players, state === GAME_STATES.COMPLETED ? null : currentPlayer);
+    }
+
+    /**
+     * Numele sub care se salvează sesiunea curentă
+     * @returns {string} - Porecla sau, când se joacă pe rând, numele tuturor jucătorilor
+     */
+    getSessionNickname() {
+        return this.engine.isHotSeat()
+            ? this.engine.players.map(player => player.name).join(', ')
+            : this.scores.getNickname();
+    }
+
+    /**
+     * Animează rezultatul unei mutări și actualizează statisticile
+     * @param {Object} result - Rezultatul returnat de engine
+     * @param {GameEngine} engine - Motorul care a produs rezultatul (implicit jocul curent)
+     */
+    async animateMoveResult(result, engine = this.engine) {
+        if (result.correct) {
+            // Mutare corectă
+            if (isSkipStep(result.step)) {
+                await this.ui.animateComparison(result.indices);
+            } else if (isTransferStep(result.step)) {
+                await this.ui.animateTransfer(result.step, engine.numbers, engine.buffer, {
+                    main: engine.getTags(),
+                    buffer: engine.getTags(ROWS.BUFFER)
+                });
+            } else {
+                await this.ui.animateCorrectSwap(result.indices, engine.numbers, engine.getTags());
+            }
+        } else {
+            // Mutare greșită
+            await this.ui.animateIncorrectMove(result.indices, result.rows);
 
-            // Evidențiază elementele așteptate
-            if (result.expectedIndices) {
-                this.ui.highlightExpected(result.expectedIndices);
+            // Evidențiază elementele așteptate, dacă jucătorul vrea indicații
+            if (result.expectedIndices && this.ui.areHintsEnabled()) {
+                this.ui.highlightExpected(result.expectedIndices, result.expectedRows);
+                if (engine === this.engine) this.engine.recordHint();
             }
+        }
 
-            // Actualizează UI
-            const gameState = this.engine.getGameState();
-            this.ui.updateStats(gameState.stats);
-            this.ui.setStatusMessage(result.message, 'error');
-            this.ui.showToast(result.message, 'error', 4000);
+        const gameState = engine.getGameState();
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+    }
+
+    /**
+     * Pune jocul în pauză sau îl reia
+     */
+    togglePause() {
+        const result = this.engine.isPaused() ? this.engine.resume() : this.engine.pause();
+        if (!result.success) {
+            this.ui.showToast(result.message, 'error');
+            return;
+        }
+
+        const paused = this.engine.isPaused();
+        this.ui.setPaused(paused);
+        if (!paused) {
+            // Indicația ascunsă în pauză reapare (și se numără, dacă a fost activată între timp)
+            this.showNextMoveHint(this.ui.expectedMoveHint);
+        }
+        this.ui.deselectAllCards();
+        this.ui.setButtonStates({ check: !paused, skip: !paused });
+        this.updateHistoryButtons();
+        this.ui.setStatusMessage(
+            paused ? 'Joc în pauză. Cronometrul este oprit.' : 'Joc reluat. Continuă!',
+            'info'
+        );
+    }
+
+    /**
+     * Pornește actualizarea cronometrului din bara laterală
+     */
+    startTimer() {
+        this.stopTimer();
+        this.ui.updateTimer(0);
+        this.timerInterval = setInterval(() => {
+            this.ui.updateTimer(this.engine.getStats().duration);
+            this.checkAssignmentTime();
+        }, 1000);
+    }
+
+    /**
+     * Oprește actualizarea cronometrului
+     */
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * Anulează ultima mutare corectă
+     */
+    undoMove() {
+        const result = this.engine.undo();
+        if (!result.success) {
+            this.ui.showToast(result.message, 'error', 1500);
+            return;
+        }
+
+        this.refreshBoard(result.nextHint);
+        this.ui.setStatusMessage(result.message, 'info');
+    }
+
+    /**
+     * Reface ultima mutare anulată
+     */
+    redoMove() {
+        const result = this.engine.redo();
+        if (!result.success) {
+            this.ui.showToast(result.message, 'error', 1500);
+            return;
+        }
+
+        this.refreshBoard(result.nextHint);
+        this.ui.setStatusMessage(result.message, 'info');
+    }
+
+    /**
+     * Redesenează tabla după ce starea engine-ului a fost restaurată
+     * @param {string} hint - Indicația pentru următoarea mutare
+     */
+    refreshBoard(hint) {
+        const gameState = this.engine.getGameState();
+
+        this.ui.deselectAllCards();
+        this.ui.updateNumbers(gameState.numbers, gameState.tags);
+        this.ui.updateBuffer(gameState.buffer, gameState.bufferTags);
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+        this.showNextMoveHint(hint);
+        this.updateStepContext();
+        this.updateHistoryButtons();
+        this.duel?.sendProgress(this.engine);
+    }
+
+    /**
+     * Afișează indicația pentru mutarea următoare din jocul curent
+     *
+     * Dacă jucătorul are indicațiile activate, pasul se numără ca pas cu ajutor.
+     * @param {string} hint - Indicația pentru următoarea mutare
+     */
+    showNextMoveHint(hint) {
+        this.ui.setExpectedMoveHint(hint);
+        if (hint && this.ui.areHintsEnabled()) {
+            this.engine.recordHint();
         }
     }
 
+    /**
+     * Activează butoanele Anulează/Refă în funcție de istoric
+     */
+    updateHistoryButtons() {
+        const { history } = this.engine.getGameState();
+        this.ui.setButtonStates({ undo: history.canUndo, redo: history.canRedo });
+    }
+
     /**
      * Verifică soluția
      */
@@ -194,10 +773,35 @@ class AppController {
             return;
         }
 
-        if (this.engine.isSorted()) {
+        if (this.engine.isPaused()) {
+            this.ui.showToast('Jocul este în pauză! Apasă „Continuă”.', 'error');
+            return;
+        }
+
+        if (this.engine.state === GAME_STATES.COMPLETED) {
+            this.ui.showToast('Jocul s-a terminat deja! Pornește un joc nou.', 'info');
+            return;
+        }
+
+        // Jocul se încheie doar după ce s-au făcut toate mutările; un vector care
+        // doar pare sortat (ex. cu valori rămase în buffer) nu e o soluție
+        const progress = this.engine.getProgress();
+        if (progress.remaining === 0 && this.engine.isSorted()) {
+            this.engine.completeGame();
+            this.duel?.sendProgress(this.engine);
             this.handleGameComplete();
+        } else if (this.engine.options.strict && this.engine.isSorted()) {
+            // În modul strict fiecare comparație fără schimbare trebuie confirmată explicit
+            const pending = this.engine.getPendingConfirmations();
+            this.ui.showToast(
+                `Vectorul e sortat, dar mai ai ${pending} comparații de confirmat cu „Nicio Schimbare”.`,
+                'error'
+            );
+            this.ui.setStatusMessage(
+                'În modul strict jocul se termină după ce confirmi toate comparațiile. Urmează indicațiile!',
+                'error'
+            );
         } else {
-            const progress = this.engine.getProgress();
             this.ui.showToast(
                 `Nu este încă sortat! Mai ai ${progress.remaining} mutări de făcut.`,
                 'error'
@@ -213,30 +817,797 @@ class AppController {
      * Gestionează finalizarea jocului
      */
     handleGameComplete() {
+        // Un joc se salvează o singură dată, doar după ce motorul l-a încheiat
+        if (this.engine.state !== GAME_STATES.COMPLETED) return;
+
+        if (this.isAssignmentExercise()) {
+            this.finishAssignmentExercise(EXERCISE_STATUS.SOLVED);
+            return;
+        }
+
         const stats = this.engine.getStats();
         const algorithm = this.engine.currentAlgorithm;
 
+        this.stopTimer();
+        this.ui.updateTimer(stats.duration);
+
         this.ui.setStatusMessage('Felicitări! Vectorul este sortat corect!', 'success');
         this.ui.showToast('Felicitări! Ai reușit!', 'success');
 
+        // Salvează rezultatul și compară-l cu recordul personal; un joc pe rând
+        // nu are un singur autor, deci nu intră în clasament
+        const players = this.engine.getPlayersReport();
+        const record = players ? undefined : this.scores.add({
+            algorithm: algorithm.key,
+            algorithmName: algorithm.name,
+            difficulty: this.engine.difficulty.key,
+            difficultyName: this.engine.difficulty.name,
+            length: this.engine.originalNumbers.length,
+            totalMoves: stats.totalMoves,
+            efficiency: stats.efficiency,
+            duration: stats.duration
+        });
+        this.scores.archiveSession({
+            ...this.engine.getSession(),
+            nickname: record ? record.score.nickname : this.getSessionNickname()
+        });
+        this.updateTurnIndicator();
+
+        const campaign = this.isCampaignGame() && !this.campaign.assisted
+            ? campaignProgress.recordResult(this.campaign.level, stats)
+            : null;
+        if (this.isCampaignGame() && this.campaign.assisted) {
+            this.ui.setStatusMessage(
+                'Ai urmărit demonstrația pe acest vector, deci nivelul nu se socotește. Apasă „Joacă din nou” pentru un vector nou.',
+                'info'
+            );
+        } else if (campaign && !campaign.passed) {
+            this.ui.setStatusMessage(
+                `Vectorul e sortat, dar pentru nivelul următor ai nevoie de cel puțin ${campaign.level.minEfficiency}% eficiență.`,
+                'info'
+            );
+        }
+
         // Afișează modalul de succes
         this.ui.showSuccessModal({
             algorithmName: algorithm.name,
             totalMoves: stats.totalMoves,
             efficiency: stats.efficiency,
-            duration: stats.duration
+            duration: stats.duration,
+            stability: this.engine.getStabilityReport(),
+            complexity: this.engine.getComplexityReport(),
+            players,
+            record,
+            campaign
         });
 
         // Dezactivează butoanele de joc
-        this.ui.setButtonStates({ start: true, check: false, reset: false });
+        this.ui.setButtonStates({
+            start: true, check: false, reset: false, skip: false, undo: false, redo: false, pause: false, demo: true
+        });
+
+        // Insignele sunt personale, deci nu se acordă pentru jocurile pe rând
+        if (!players) {
+            const earned = achievementTracker.handleEvent({
+                type: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+                algorithmKey: algorithm.key,
+                stats,
+                // Ajutor înseamnă indicații văzute sau demonstrația pe același vector
+                usedHelp: stats.hintsUsed > 0 || this.engine.seed === this.demoSeed
+            });
+            if (earned.length > 0) {
+                this.ui.showToast(
+                    `🏅 Insignă nouă: ${earned.map(achievement => `${achievement.icon} ${achievement.name}`).join(', ')}`,
+                    'success', 4000
+                );
+            }
+        }
     }
 
     /**
-     * Resetează jocul curent
+     * Pornește reluarea unui joc
+     * @param {Object} session - Sesiunea reluată (implicit jocul terminat)
      */
-    resetGame() {
-        if (this.engine.state === GAME_STATES.IDLE) {
-            this.ui.showToast('Nu există niciun joc de resetat!', 'error');
+    startReplay(session = this.engine.getSession()) {
+        let replay;
+        try {
+            replay = new SessionReplay(session);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        this.stopReplay();
+        this.ui.closeModal();
+
+        this.replay = replay;
+        this.playback = new Playback({
+            total: replay.length,
+            onStep: (index) => this.showReplayEvent(replay, replay.apply(index)),
+            onChange: (playback) => this.ui.updateReplayControls(playback)
+        });
+
+        const gameState = replay.engine.getGameState();
+        this.ui.setAlgorithmTitle(`Reluare: ${replay.engine.currentAlgorithm.name}`);
+        this.ui.setAlgorithmInfo(replay.engine.currentAlgorithm);
+        this.renderBoard(replay.engine, () => {
+            this.ui.showToast('Reluarea nu poate fi modificată. Folosește controalele din dreapta.', 'info', 1500);
+        });
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+        this.ui.setExpectedMoveHint('');
+        this.ui.setButtonStates({
+            start: true, check: false, reset: false, skip: false, undo: false, redo: false, pause: false, demo: false
+        });
+        this.ui.setTurnIndicator();
+        this.ui.showReplayPanel(true);
+        this.ui.updateReplayControls(this.playback);
+        this.ui.setStatusMessage(`Reluare: ${replay.length} acțiuni. Apasă „Redă” sau „Pas”.`, 'info');
+    }
+
+    /**
+     * Oprește reluarea sau demonstrația în curs (dacă există)
+     */
+    stopReplay() {
+        if (!this.playback) return;
+
+        this.playback.pause();
+        this.playback = null;
+        this.replay = null;
+        this.demo = null;
+        this.ui.showReplayPanel(false);
+    }
+
+    /**
+     * Închide reluarea și revine la tabla jocului terminat
+     */
+    exitReplay() {
+        this.stopReplay();
+
+        // O sesiune importată poate fi reluată și fără un joc propriu
+        if (this.engine.state === GAME_STATES.IDLE) {
+            this.ui.resetUI();
+            return;
+        }
+
+        const gameState = this.engine.getGameState();
+        this.ui.setAlgorithmTitle(this.engine.currentAlgorithm.name);
+        this.ui.setAlgorithmInfo(this.engine.currentAlgorithm);
+        this.renderBoard();
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+        this.updateTurnIndicator();
+        this.ui.setStatusMessage('Reluarea s-a încheiat.', 'info');
+    }
+
+    /**
+     * Afișează un eveniment din reluare
+     * @param {SessionReplay} replay - Reluarea căreia îi aparține evenimentul
+     * @param {Object} event - `{ entry, result }` returnat de `replay.apply()`
+     */
+    async showReplayEvent(replay, { entry, result }) {
+        const time = entry.player
+            ? `[${(entry.elapsed / 1000).toFixed(1)}s] ${entry.player}:`
+            : `[${(entry.elapsed / 1000).toFixed(1)}s]`;
+        const engine = replay.engine;
+
+        switch (entry.type) {
+            case LOG_EVENTS.SELECT:
+                this.ui.selectCard(entry.index, entry.row);
+                this.ui.setStatusMessage(`${time} ${result.message}`);
+                break;
+
+            case LOG_EVENTS.DESELECT:
+                this.ui.deselectAllCards();
+                this.ui.setStatusMessage(`${time} Selecție anulată.`);
+                break;
+
+            case LOG_EVENTS.MOVE:
+            case LOG_EVENTS.SKIP:
+                this.ui.setStatusMessage(
+                    `${time} ${result.correct ? 'Mutare corectă.' : result.message}`,
+                    result.correct ? 'success' : 'error'
+                );
+                await this.animateMoveResult(result, engine);
+                break;
+
+            case LOG_EVENTS.UNDO:
+            case LOG_EVENTS.REDO:
+                this.showEngineState(engine);
+                this.ui.setStatusMessage(`${time} ${result.message}`, 'info');
+                break;
+
+            case LOG_EVENTS.PAUSE:
+                this.ui.setStatusMessage(`${time} Jocul a fost pus pe pauză.`, 'info');
+                break;
+
+            case LOG_EVENTS.RESUME:
+                this.ui.setStatusMessage(`${time} Jocul a fost reluat.`, 'info');
+                break;
+        }
+
+        // Reluarea poate fi închisă în timpul unei animații
+        if (this.replay === replay) {
+            this.updateStepContext(engine, () => {});
+        }
+    }
+
+    /**
+     * Descarcă jocurile terminate și jocul curent
+     * @param {string} format - 'json' sau 'csv'
+     */
+    exportSessions(format) {
+        const sessions = this.scores.getSessions();
+        if (this.engine.state === GAME_STATES.PLAYING || this.engine.state === GAME_STATES.PAUSED) {
+            sessions.push({ ...this.engine.getSession(), nickname: this.getSessionNickname() });
+        }
+
+        if (sessions.length === 0) {
+            this.ui.showToast('Nu există încă nicio sesiune de exportat!', 'error');
+            return;
+        }
+
+        if (format === 'csv') {
+            // BOM-ul UTF-8 păstrează diacriticele la deschiderea în Excel
+            this.ui.downloadFile(getExportFilename('csv'), `\uFEFF${sessionsToCSV(sessions)}`, 'text/csv;charset=utf-8');
+        } else {
+            this.ui.downloadFile(getExportFilename('json'), sessionsToJSON(sessions), 'application/json');
+        }
+
+        this.ui.showToast(
+            sessions.length === 1 ? 'O sesiune exportată.' : `${sessions.length} sesiuni exportate.`,
+            'info', 1500
+        );
+    }
+
+    /**
+     * Încarcă un fișier JSON exportat și reia ultima sesiune din el
+     * @param {File} file - Fișierul ales
+     */
+    async importSessions(file) {
+        if (this.engine.state === GAME_STATES.PLAYING || this.engine.state === GAME_STATES.PAUSED) {
+            this.ui.showToast('Termină jocul curent înainte de a importa o sesiune.', 'error', 3000);
+            return;
+        }
+
+        let sessions;
+        try {
+            sessions = parseSessionsJSON(await file.text());
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        const session = sessions[sessions.length - 1];
+        this.startReplay(session);
+
+        if (!this.replay) return;
+
+        if (session.nickname) {
+            this.ui.setAlgorithmTitle(`Reluare: ${session.nickname} - ${this.replay.engine.currentAlgorithm.name}`);
+        }
+        if (sessions.length > 1) {
+            this.ui.showToast(`Fișierul conține ${sessions.length} sesiuni; se reia ultima.`, 'info', 3000);
+        }
+    }
+
+    /**
+     * Redesenează, fără animație, tabla unui motor de reluare sau de demonstrație
+     * @param {GameEngine} engine - Motorul afișat
+     */
+    showEngineState(engine) {
+        const gameState = engine.getGameState();
+
+        this.ui.deselectAllCards();
+        this.ui.updateNumbers(gameState.numbers, gameState.tags);
+        this.ui.updateBuffer(gameState.buffer, gameState.bufferTags);
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+    }
+
+    /**
+     * Pornește demonstrația automată pe vectorul jocului curent
+     */
+    startDemo() {
+        const algorithm = this.engine.currentAlgorithm;
+        if (!algorithm) {
+            this.ui.showToast('Alege mai întâi o metodă de sortare!', 'error');
+            return;
+        }
+
+        // Același seed reproduce vectorul, astfel încât elevii sortează apoi exact ce au văzut
+        const options = { ...this.engine.options, seed: this.engine.seed };
+        let demo;
+        try {
+            demo = new SortDemo(algorithm.key, options);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        this.stopReplay();
+        this.ui.closeModal();
+
+        // Jocul elevului nu continuă în timpul demonstrației; va fi repornit la final
+        if (this.engine.state === GAME_STATES.PLAYING) {
+            this.engine.pause();
+        }
+        this.stopTimer();
+        this.ui.setPaused(false);
+
+        this.demo = demo;
+        this.demoSeed = this.engine.seed;
+
+        // Nivelul trebuie trecut prin munca elevului, nu după demonstrație pe același vector
+        if (this.isCampaignGame() && !this.campaign.assisted) {
+            this.campaign.assisted = true;
+            this.ui.showToast('După demonstrație, nivelul nu se mai socotește pe acest vector.', 'info', 4000);
+        }
+
+        this.playback = new Playback({
+            total: demo.length,
+            onStep: () => this.showDemoStep(demo, demo.forward()),
+            onBack: () => this.showDemoBack(demo, demo.back()),
+            onChange: (playback) => this.ui.updateReplayControls(playback, DEMO_LABELS)
+        });
+
+        const gameState = demo.engine.getGameState();
+        this.ui.setAlgorithmTitle(`Demonstrație: ${demo.engine.currentAlgorithm.name}`);
+        this.renderBoard(demo.engine, () => {
+            this.ui.showToast('Demonstrația rulează singură. Folosește controalele din dreapta.', 'info', 1500);
+        });
+        this.ui.updateStats(gameState.stats);
+        this.ui.updateProgress(gameState.progress);
+        this.ui.setExpectedMoveHint(demo.engine.getNextMoveHint());
+        this.ui.setButtonStates({
+            start: true, check: false, reset: false, skip: false, undo: false, redo: false, pause: false, demo: false
+        });
+        this.ui.setTurnIndicator();
+        this.ui.showReplayPanel(true, 'Demonstrație');
+        this.ui.updateReplayControls(this.playback, DEMO_LABELS);
+        this.ui.setStatusMessage(`Demonstrație: ${demo.length} pași. Apasă „Redă” sau „Pas”.`, 'info');
+    }
+
+    /**
+     * Afișează un pas executat de demonstrație, cu indicația lui ca narațiune
+     * @param {SortDemo} demo - Demonstrația căreia îi aparține pasul
+     * @param {Object} event - `{ narration, result }` returnat de `demo.forward()`
+     */
+    async showDemoStep(demo, { narration, result }) {
+        this.ui.setStatusMessage(narration, 'info');
+        await this.animateMoveResult(result, demo.engine);
+
+        // Demonstrația poate fi închisă în timpul unei animații
+        if (this.demo !== demo) return;
+
+        this.updateStepContext(demo.engine, () => {});
+        if (result.completed) {
+            this.ui.setExpectedMoveHint('');
+            this.ui.setStatusMessage('Vectorul este sortat! Închide demonstrația și încearcă și tu.', 'success');
+        } else {
+            this.ui.setExpectedMoveHint(result.nextHint);
+        }
+    }
+
+    /**
+     * Afișează starea demonstrației după revenirea cu un pas
+     * @param {SortDemo} demo - Demonstrația
+     * @param {Object} result - Rezultatul returnat de `demo.back()`
+     */
+    showDemoBack(demo, result) {
+        this.showEngineState(demo.engine);
+        this.updateStepContext(demo.engine, () => {});
+        this.ui.setExpectedMoveHint(result.nextHint);
+        this.ui.setStatusMessage(`Înapoi un pas. Urmează: ${result.nextHint}`, 'info');
+    }
+
+    /**
+     * Închide demonstrația și repornește jocul pe același vector
+     */
+    exitDemo() {
+        const options = { ...this.engine.options, seed: this.engine.seed };
+
+        this.startNewGame(this.engine.currentAlgorithm.key, options);
+        this.ui.setStatusMessage('Acum e rândul tău: sortează același vector!', 'info');
+    }
+
+    /**
+     * Intră într-un duel: primul jucător din cameră propune jocul ales acum
+     */
+    joinDuel() {
+        if (this.assignment && !this.assignment.isFinished()) {
+            this.ui.showToast('Termină sau închide tema înainte de a intra într-un duel.', 'error', 3000);
+            return;
+        }
+
+        const { server, room } = this.ui.getDuelSettings();
+
+        let code;
+        let puzzle;
+        try {
+            code = normalizeRoomCode(room);
+            puzzle = createDuelPuzzle(this.engine.currentAlgorithm?.key ?? null, this.getGameOptions());
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        const duel = new DuelClient({
+            onWaiting: () => {
+                this.ui.setDuelState(true, `Aștept un adversar în camera ${code}. Spune-i codul camerei!`);
+            },
+            onStart: ({ puzzle: sharedPuzzle, opponent }) => this.startDuelGame(duel, sharedPuzzle, opponent),
+            onOpponentProgress: (progress) => {
+                this.ui.updateOpponentProgress({ ...progress, name: duel.opponent });
+            },
+            onResult: ({ winner, won }) => {
+                const message = won ? '🏆 Ai câștigat duelul!' : `${winner} a terminat primul și a câștigat duelul.`;
+                this.ui.setDuelState(true, message);
+                this.ui.showToast(message, won ? 'success' : 'info', 4000);
+            },
+            onOpponentLeft: () => {
+                // După rezultat, plecarea adversarului doar încheie duelul
+                this.leaveDuel(duel.result ? null : 'Adversarul a părăsit duelul.', true);
+            },
+            onError: (message) => {
+                this.ui.showToast(message, 'error', 4000);
+                if (!duel.isStarted()) {
+                    this.leaveDuel(message);
+                }
+            },
+            onClose: () => this.leaveDuel('Conexiunea cu serverul de duel s-a închis.')
+        });
+
+        this.leaveDuel();
+        try {
+            duel.connect(server || getDefaultDuelUrl(), { room: code, name: this.scores.getNickname(), puzzle });
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        this.duel = duel;
+        this.ui.setDuelState(true, `Conectare la camera ${code}...`);
+    }
+
+    /**
+     * Pornește jocul comun al duelului
+     * @param {DuelClient} duel - Duelul
+     * @param {Object} puzzle - `{ algorithmKey, options }` primit de la server
+     * @param {string} opponent - Numele adversarului
+     */
+    startDuelGame(duel, puzzle, opponent) {
+        this.ui.closeModal();
+        this.startNewGame(puzzle.algorithmKey, puzzle.options);
+
+        // Puzzle-ul nu a putut fi pornit (ex. setări invalide)
+        if (this.duel !== duel || this.engine.seed !== puzzle.options.seed) {
+            this.leaveDuel('Jocul duelului nu a putut fi pornit.');
+            return;
+        }
+
+        this.ui.updateOpponentProgress({ ...this.engine.getProgress(), mistakes: 0, name: opponent });
+        this.ui.setDuelState(true, `Duel cu ${opponent}! Câștigă cine sortează primul vectorul.`);
+        this.ui.setStatusMessage(`Duel cu ${opponent}: sortează folosind ${this.engine.currentAlgorithm.name}!`, 'info');
+        duel.sendProgress(this.engine);
+    }
+
+    /**
+     * Verifică dacă jocul curent este cel al duelului; un alt joc părăsește duelul
+     */
+    syncDuel() {
+        if (!this.duel?.isStarted()) return;
+
+        if (this.engine.seed !== this.duel.puzzle.options.seed) {
+            this.leaveDuel('Ai început alt joc, așa că ai părăsit duelul.');
+            return;
+        }
+
+        // Demonstrația ar arăta soluția în timpul duelului
+        this.ui.setButtonStates({ demo: false });
+    }
+
+    /**
+     * Părăsește duelul curent (dacă există)
+     * @param {string|null} message - Motivul, afișat jucătorului
+     * @param {boolean} keepOpponent - Păstrează bara adversarului (ex. după rezultat)
+     */
+    leaveDuel(message = null, keepOpponent = false) {
+        if (!this.duel) return;
+
+        this.duel.close();
+        this.duel = null;
+
+        if (!keepOpponent) {
+            this.ui.updateOpponentProgress(null);
+        }
+        this.ui.setDuelState(false, message);
+        if (this.engine.state === GAME_STATES.PLAYING) {
+            this.ui.setButtonStates({ demo: true });
+        }
+        if (message) {
+            this.ui.showToast(message, 'info', 3000);
+        }
+    }
+
+    /**
+     * Pornește un nivel al campaniei
+     * @param {number|string} id - Numărul nivelului
+     */
+    startCampaignLevel(id) {
+        const level = getCampaignLevel(id);
+        if (!level) {
+            this.ui.showToast(`Nivelul ${id} nu există.`, 'error');
+            return;
+        }
+        if (!campaignProgress.isUnlocked(level.id)) {
+            this.ui.showToast(`Nivelul ${level.id} este încă blocat. Termină mai întâi nivelul anterior.`, 'error', 4000);
+            return;
+        }
+
+        const previousSeed = this.engine.seed;
+        this.startNewGame(level.algorithmKey, getLevelGameOptions(level));
+
+        // Jocul nu a putut fi pornit (ex. în timpul unei teme)
+        if (this.engine.seed === previousSeed || this.engine.currentAlgorithm?.key !== level.algorithmKey) return;
+
+        this.campaign = { level, seed: this.engine.seed, assisted: false };
+        this.ui.setAlgorithmTitle(`Nivelul ${level.id}: ${level.name}`);
+        this.ui.setStatusMessage(
+            `Sortează folosind ${getLevelAlgorithmName(level)} cu cel puțin ${level.minEfficiency}% eficiență ` +
+            'pentru a debloca nivelul următor.',
+            'info'
+        );
+    }
+
+    /**
+     * Verifică dacă jocul curent este nivelul de campanie pornit ultima dată
+     *
+     * Demonstrația repornește jocul cu același seed, deci jocul rămâne al nivelului
+     * („Joacă din nou” pornește tot nivelul), dar e marcat `assisted` și nu se socotește.
+     * @returns {boolean}
+     */
+    isCampaignGame() {
+        return Boolean(this.campaign) &&
+            this.engine.seed === this.campaign.seed &&
+            this.engine.currentAlgorithm?.key === this.campaign.level.algorithmKey;
+    }
+
+    /**
+     * Încarcă o temă și pornește primul exercițiu
+     * @param {File} file - Fișierul ales
+     */
+    async loadAssignment(file) {
+        let assignment;
+        try {
+            assignment = parseAssignment(await file.text());
+        } catch (error) {
+            this.ui.showToast(error.message, 'error', 4000);
+            return;
+        }
+
+        this.leaveDuel();
+        this.ui.closeModal();
+        this.assignment = new AssignmentRun(assignment);
+        this.startAssignmentExercise();
+
+        this.ui.showToast(
+            `Tema „${assignment.title}”: ${this.assignment.length} exerciții de rezolvat în ordine.`,
+            'info', 3000
+        );
+    }
+
+    /**
+     * Pornește exercițiul curent al temei
+     */
+    startAssignmentExercise() {
+        const run = this.assignment;
+        const exercise = run.getCurrentExercise();
+
+        this.ui.setSortDirection(exercise.direction);
+        this.ui.setPartitionScheme(exercise.partitionScheme);
+        this.startNewGame(exercise.algorithmKey, run.getGameOptions());
+
+        if (!this.isAssignmentExercise()) {
+            this.closeAssignment('Exercițiul temei nu a putut fi pornit.');
+            return;
+        }
+
+        const limit = exercise.timeLimit ? ` Ai ${exercise.timeLimit} secunde.` : '';
+        this.ui.setStatusMessage(
+            `Exercițiul ${run.currentIndex + 1}: sortează folosind ${this.engine.currentAlgorithm.name}!${limit}`,
+            'info'
+        );
+    }
+
+    /**
+     * Verifică dacă jocul curent este exercițiul în lucru al temei
+     * @returns {boolean}
+     */
+    isAssignmentExercise() {
+        return Boolean(this.assignment) &&
+            !this.assignment.isFinished() &&
+            !this.assignment.isCurrentRecorded() &&
+            this.engine.state !== GAME_STATES.IDLE &&
+            this.engine.state !== GAME_STATES.STOPPED &&
+            this.assignment.allowsGame(this.engine.currentAlgorithm.key, this.engine.options);
+    }
+
+    /**
+     * Actualizează panoul temei după pornirea unui joc
+     */
+    syncAssignment() {
+        if (!this.isAssignmentExercise()) return;
+
+        // Demonstrația ar arăta soluția, iar resetarea ar reporni cronometrul
+        this.ui.setButtonStates({ reset: false, demo: false });
+        this.updateAssignmentPanel();
+    }
+
+    /**
+     * Afișează în panou exercițiul curent și timpul rămas
+     * @param {string|null} status - Textul de stare (opțional)
+     */
+    updateAssignmentPanel(status = null) {
+        const run = this.assignment;
+        if (!run) {
+            this.ui.setAssignmentState(null);
+            return;
+        }
+
+        const exercise = run.getCurrentExercise();
+        let phase = 'playing';
+        if (run.isFinished()) {
+            phase = 'finished';
+        } else if (run.isCurrentRecorded()) {
+            phase = 'ended';
+        }
+
+        this.ui.setAssignmentState({
+            title: run.assignment.title,
+            exercise: Math.min(run.currentIndex + 1, run.length),
+            total: run.length,
+            phase,
+            remaining: exercise?.timeLimit ? this.getAssignmentTimeLeft() : null,
+            status
+        });
+    }
+
+    /**
+     * Secundele rămase din limita exercițiului curent
+     * @returns {number}
+     */
+    getAssignmentTimeLeft() {
+        const { timeLimit } = this.assignment.getCurrentExercise();
+        return Math.max(0, timeLimit - this.engine.getStats().duration);
+    }
+
+    /**
+     * Verifică, la fiecare secundă, limita de timp a exercițiului curent
+     */
+    checkAssignmentTime() {
+        if (!this.isAssignmentExercise() || !this.assignment.getCurrentExercise().timeLimit) return;
+
+        this.updateAssignmentPanel();
+        if (this.engine.state === GAME_STATES.PLAYING && this.getAssignmentTimeLeft() === 0) {
+            this.finishAssignmentExercise(EXERCISE_STATUS.TIMED_OUT);
+        }
+    }
+
+    /**
+     * Sare peste exercițiul curent
+     */
+    skipAssignmentExercise() {
+        if (!this.isAssignmentExercise()) return;
+
+        this.finishAssignmentExercise(EXERCISE_STATUS.SKIPPED);
+    }
+
+    /**
+     * Încheie exercițiul curent și îi salvează rezultatul
+     * @param {string} status - Cum s-a încheiat (vezi EXERCISE_STATUS)
+     */
+    finishAssignmentExercise(status) {
+        const run = this.assignment;
+
+        // Un vector sortat fără ultima verificare sau un exercițiu neterminat se oprește aici
+        if (this.engine.state === GAME_STATES.PLAYING || this.engine.state === GAME_STATES.PAUSED) {
+            this.engine.stop();
+        }
+        this.stopTimer();
+        this.ui.setPaused(false);
+        this.ui.deselectAllCards();
+        this.ui.updateTimer(this.engine.getStats().duration);
+
+        const session = { ...this.engine.getSession(), nickname: this.scores.getNickname() };
+        run.recordResult(status, session);
+        this.scores.archiveSession(session);
+
+        this.ui.setButtonStates({
+            start: true, check: false, reset: false, skip: false, undo: false, redo: false, pause: false, demo: false
+        });
+
+        const messages = {
+            [EXERCISE_STATUS.SOLVED]: ['Exercițiu rezolvat! Vectorul este sortat corect.', 'success'],
+            [EXERCISE_STATUS.TIMED_OUT]: ['Timpul a expirat pentru acest exercițiu.', 'error'],
+            [EXERCISE_STATUS.SKIPPED]: ['Ai sărit peste acest exercițiu.', 'info']
+        };
+        const [message, type] = messages[status];
+
+        if (run.isFinished()) {
+            const { summary } = run.getReport(this.scores.getNickname());
+            const done = `Tema s-a încheiat: ${summary.solved} din ${summary.exercises} exerciții rezolvate.`;
+            this.ui.setStatusMessage(`${message} ${done}`, type);
+            this.updateAssignmentPanel(`${done} Raportul a fost descărcat; trimite-l profesorului.`);
+            this.downloadAssignmentReport();
+        } else {
+            this.ui.setStatusMessage(`${message} Apasă „Exercițiul următor” pentru a continua.`, type);
+            this.updateAssignmentPanel(message);
+        }
+        this.ui.showToast(message, type);
+    }
+
+    /**
+     * Pornește exercițiul următor al temei
+     */
+    nextAssignmentExercise() {
+        const run = this.assignment;
+        if (!run || !run.isCurrentRecorded() || run.isFinished()) return;
+
+        run.next();
+        this.startAssignmentExercise();
+    }
+
+    /**
+     * Descarcă raportul elevului pentru tema încheiată
+     */
+    downloadAssignmentReport() {
+        const run = this.assignment;
+        if (!run?.isFinished()) return;
+
+        const student = this.scores.getNickname();
+        this.ui.downloadFile(
+            getReportFilename(run.assignment.title, student),
+            JSON.stringify(run.getReport(student), null, 2),
+            'application/json'
+        );
+    }
+
+    /**
+     * Închide tema; jocul curent (dacă există) continuă ca joc liber
+     * @param {string|null} message - Motivul, afișat elevului
+     */
+    closeAssignment(message = 'Tema a fost închisă.') {
+        if (!this.assignment) return;
+
+        this.assignment = null;
+        this.updateAssignmentPanel();
+        if (this.engine.state === GAME_STATES.PLAYING) {
+            this.ui.setButtonStates({ reset: true, demo: !this.duel });
+        }
+        if (message) {
+            this.ui.showToast(message, 'info', 3000);
+        }
+    }
+
+    /**
+     * Resetează jocul curent
+     */
+    resetGame() {
+        if (this.engine.state === GAME_STATES.IDLE) {
+            this.ui.showToast('Nu există niciun joc de resetat!', 'error');
+            return;
+        }
+
+        if (this.isAssignmentExercise()) {
+            this.ui.showToast('Exercițiile temei nu se pot reseta.', 'error');
+            return;
+        }
+
+        // Un nivel al campaniei se reia cu un vector nou de aceeași dificultate
+        if (this.isCampaignGame()) {
+            this.startCampaignLevel(this.campaign.level.id);
+            this.ui.showToast('Nivel reluat!', 'info');
             return;
         }
 
@@ -0,0 +1,207 @@
+/**
+ * achievements.js - Realizări și insigne
+ *
+ * Controller-ul trimite evenimentele jocului (ex. un joc terminat) către
+ * `AchievementTracker`, care actualizează contoarele salvate și verifică
+ * regulile din `ACHIEVEMENTS`. O realizare nouă se adaugă declarând încă o
+ * regulă: `check(event, progress)` primește evenimentul și contoarele deja
+ * actualizate, iar `progress(progress)` (opțional) arată cât mai e până la ea.
+ */
+
+import { ALGORITHMS } from './algorithms.js';
+
+/**
+ * Cheia folosită în localStorage
+ */
+const STORAGE_KEY = 'sortingGame.achievements';
+
+/**
+ * Evenimentele urmărite
+ */
+export const ACHIEVEMENT_EVENTS = {
+    GAME_COMPLETED: 'game-completed'    // { algorithmKey, stats, usedHelp }
+};
+
+/**
+ * Metodele elementare, cerute pentru insigna „Trei metode”
+ */
+const ELEMENTARY_ALGORITHMS = ['bubble', 'selection', 'insertion'];
+
+/**
+ * Numărul de jocuri consecutive fără indicații pentru „Pe cont propriu”
+ */
+const NO_HELP_STREAK = 10;
+
+/**
+ * Realizările, în ordinea din galerie
+ */
+export const ACHIEVEMENTS = [
+    {
+        id: 'first-game',
+        icon: '🎉',
+        name: 'Prima sortare',
+        description: 'Termină primul joc.',
+        event: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+        check: () => true
+    },
+    {
+        id: 'flawless',
+        icon: '💎',
+        name: 'Fără greșeală',
+        description: 'Termină un joc cu eficiență de 100%.',
+        event: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+        check: ({ stats }) => stats.efficiency === 100
+    },
+    {
+        id: 'lightning',
+        icon: '⚡',
+        name: 'Fulger',
+        description: 'Sortează un vector în mai puțin de 30 de secunde.',
+        event: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+        check: ({ stats }) => stats.duration < 30
+    },
+    {
+        id: 'three-methods',
+        icon: '🥉',
+        name: 'Trei metode',
+        description: `Termină câte un joc cu ${ELEMENTARY_ALGORITHMS.map(key => ALGORITHMS[key].name).join(', ')}.`,
+        event: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+        check: (event, progress) => ELEMENTARY_ALGORITHMS.every(key => progress.algorithms.includes(key)),
+        progress: (progress) => ({
+            current: ELEMENTARY_ALGORITHMS.filter(key => progress.algorithms.includes(key)).length,
+            target: ELEMENTARY_ALGORITHMS.length
+        })
+    },
+    {
+        id: 'on-my-own',
+        icon: '🧠',
+        name: 'Pe cont propriu',
+        description: `Termină ${NO_HELP_STREAK} jocuri la rând fără indicații (mutarea următoare ascunsă și fără demonstrație).`,
+        event: ACHIEVEMENT_EVENTS.GAME_COMPLETED,
+        check: (event, progress) => progress.noHelpStreak >= NO_HELP_STREAK,
+        progress: (progress) => ({
+            current: Math.min(progress.noHelpStreak, NO_HELP_STREAK),
+            target: NO_HELP_STREAK
+        })
+    }
+];
+
+/**
+ * Contoarele unui jucător nou
+ * @returns {Object}
+ */
+function createProgress() {
+    return {
+        gamesCompleted: 0,
+        noHelpStreak: 0,
+        algorithms: []
+    };
+}
+
+/**
+ * Urmărește evenimentele și acordă insignele
+ */
+export class AchievementTracker {
+    /**
+     * @param {Storage|null} storage - Spațiul de stocare (implicit localStorage)
+     * @param {Object[]} achievements - Regulile (implicit ACHIEVEMENTS)
+     */
+    constructor(storage = globalThis.localStorage ?? null, achievements = ACHIEVEMENTS) {
+        this.storage = storage;
+        this.achievements = achievements;
+    }
+
+    /**
+     * Citește starea salvată
+     * @returns {Object} - `{ unlocked: { [id]: dată }, progress }`
+     */
+    load() {
+        try {
+            const raw = this.storage?.getItem(STORAGE_KEY);
+            const saved = raw ? JSON.parse(raw) : null;
+            return {
+                unlocked: saved?.unlocked ?? {},
+                progress: { ...createProgress(), ...saved?.progress }
+            };
+        } catch (error) {
+            console.error('Nu s-au putut citi insignele salvate:', error);
+            return { unlocked: {}, progress: createProgress() };
+        }
+    }
+
+    /**
+     * Salvează starea
+     * @param {Object} state - `{ unlocked, progress }`
+     */
+    save(state) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('Nu s-au putut salva insignele:', error);
+        }
+    }
+
+    /**
+     * Actualizează contoarele după un eveniment
+     * @param {Object} progress - Contoarele
+     * @param {Object} event - Evenimentul
+     * @returns {Object} - Contoarele noi
+     */
+    applyEvent(progress, event) {
+        switch (event.type) {
+            case ACHIEVEMENT_EVENTS.GAME_COMPLETED:
+                return {
+                    ...progress,
+                    gamesCompleted: progress.gamesCompleted + 1,
+                    noHelpStreak: event.usedHelp ? 0 : progress.noHelpStreak + 1,
+                    algorithms: progress.algorithms.includes(event.algorithmKey)
+                        ? progress.algorithms
+                        : [...progress.algorithms, event.algorithmKey]
+                };
+
+            default:
+                return progress;
+        }
+    }
+
+    /**
+     * Tratează un eveniment al jocului
+     * @param {Object} event - `{ type, ... }` (vezi ACHIEVEMENT_EVENTS)
+     * @returns {Object[]} - Realizările deblocate acum
+     */
+    handleEvent(event) {
+        const state = this.load();
+        const progress = this.applyEvent(state.progress, event);
+        const date = new Date().toISOString();
+
+        const earned = this.achievements.filter(achievement =>
+            achievement.event === event.type &&
+            !state.unlocked[achievement.id] &&
+            achievement.check(event, progress)
+        );
+        earned.forEach(achievement => {
+            state.unlocked[achievement.id] = date;
+        });
+
+        this.save({ unlocked: state.unlocked, progress });
+        return earned;
+    }
+
+    /**
+     * Toate realizările, pentru galerie
+     * @returns {Object[]} - `{ achievement, unlockedAt, progress }`; `progress` e
+     *                       `{ current, target }` sau null
+     */
+    getGallery() {
+        const { unlocked, progress } = this.load();
+
+        return this.achievements.map(achievement => ({
+            achievement,
+            unlockedAt: unlocked[achievement.id] ?? null,
+            progress: achievement.progress ? achievement.progress(progress) : null
+        }));
+    }
+}
+
+// Exportă instanța singleton pentru utilizare globală
+export const achievementTracker = new AchievementTracker();
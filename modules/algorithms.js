@@ -3,8 +3,12 @@
  *
  * Acest modul generează coada de pași necesari pentru fiecare algoritm.
  * Fiecare pas reprezintă o operație pe care utilizatorul trebuie să o execute exact.
+ * Elementele se compară doar prin ordinea de sortare (vezi sort-order.js), astfel
+ * încât aceiași generatori produc și sortări descrescătoare.
  */
 
+import { SORT_ORDERS, resolveSortOrder } from './sort-order.js';
+
 /**
  * Informații despre algoritmi în limba română
  */
@@ -12,21 +16,38 @@ export const ALGORITHMS = {
     bubble: {
         key: 'bubble',
         name: 'Metoda Bulelor',
-        description: 'Compară perechi adiacente de la stânga la dreapta. Dacă elementul din stânga este mai mare, schimbă-le. Continuă până când lista este sortată.',
+        description: 'Compară perechi adiacente de la stânga la dreapta. Dacă elementul din stânga este {after}, schimbă-le. Continuă până când lista este sortată.',
         rules: [
             'Poți schimba DOAR elemente adiacente (unul lângă altul)',
-            'Schimbă doar dacă elementul din stânga > elementul din dreapta',
+            'Schimbă doar dacă elementul din stânga {follows} elementul din dreapta',
             'Parcurge de la stânga la dreapta, în ordine'
+        ],
+        pseudocode: [
+            'pentru i ← 0, n-2 execută',
+            '  schimbat ← fals',
+            '  pentru j ← 0, n-i-2 execută',
+            '    dacă v[j] {follows} v[j+1] atunci',
+            '      interschimbă v[j], v[j+1]',
+            '      schimbat ← adevărat',
+            '  dacă schimbat = fals atunci STOP'
         ]
     },
     selection: {
         key: 'selection',
         name: 'Metoda Selecției',
-        description: 'Găsește elementul minim din partea nesortată și mută-l la începutul părții nesortate.',
+        description: 'Găsește {first} din partea nesortată și mută-l la începutul părții nesortate.',
         rules: [
-            'Găsește cel mai mic element din partea nesortată',
-            'Schimbă minimul cu primul element nesortat',
+            'Găsește cel {before} element din partea nesortată',
+            'Schimbă {first} cu primul element nesortat',
             'Prima poziție nesortată avansează cu 1'
+        ],
+        pseudocode: [
+            'pentru i ← 0, n-2 execută',
+            '  minIdx ← i',
+            '  pentru j ← i+1, n-1 execută',
+            '    dacă v[j] {precedes} v[minIdx] atunci minIdx ← j',
+            '  dacă minIdx ≠ i atunci',
+            '    interschimbă v[i], v[minIdx]'
         ]
     },
     insertion: {
@@ -37,47 +58,252 @@ export const ALGORITHMS = {
             'Elementele din stânga sunt considerate "sortate"',
             'Ia primul element nesortat',
             'Mută-l spre stânga până când ajunge la poziția corectă'
+        ],
+        pseudocode: [
+            'pentru i ← 1, n-1 execută',
+            '  j ← i',
+            '  cât timp j > 0 și v[j-1] {follows} v[j] execută',
+            '    interschimbă v[j-1], v[j]',
+            '    j ← j-1'
+        ]
+    },
+    quick: {
+        key: 'quick',
+        name: 'Sortarea Rapidă',
+        description: 'Alege un pivot și partiționează subvectorul curent: fiecare element {before} decât pivotul ajunge în stânga, celelalte în dreapta. Apoi sortează recursiv cele două părți.',
+        rules: [
+            'Pivotul este ultimul element din subvectorul curent (Lomuto)',
+            'Parcurge subvectorul de la stânga la dreapta',
+            'Fiecare element {before} decât pivotul se schimbă cu primul element din zona „{backZone}”',
+            'La final, pivotul se schimbă cu primul element din zona „{backZone}” și rămâne fixat',
+            'Continuă cu partea stângă, apoi cu partea dreaptă'
+        ],
+        hoareRules: [
+            'Pivotul este primul element din subvectorul curent (Hoare)',
+            'Un indice caută din stânga un element care nu e {before} decât pivotul',
+            'Alt indice caută din dreapta un element care nu e {after} decât pivotul',
+            'Schimbă cele două elemente și continuă până când indicii se întâlnesc',
+            'Continuă cu partea stângă, apoi cu partea dreaptă'
+        ],
+        pseudocode: [
+            'quickSort(st, dr):',
+            '  dacă st < dr atunci',
+            '    p ← partiție(st, dr)',
+            '    quickSort(st, p-1)',
+            '    quickSort(p+1, dr)',
+            'partiție(st, dr):',
+            '  pivot ← v[dr]; i ← st',
+            '  pentru j ← st, dr-1 execută',
+            '    dacă v[j] {precedes} pivot atunci',
+            '      interschimbă v[i], v[j]',
+            '      i ← i+1',
+            '  interschimbă v[i], v[dr]',
+            '  returnează i'
+        ],
+        hoarePseudocode: [
+            'quickSort(st, dr):',
+            '  dacă st < dr atunci',
+            '    p ← partiție(st, dr)',
+            '    quickSort(st, p)',
+            '    quickSort(p+1, dr)',
+            'partiție(st, dr):',
+            '  pivot ← v[st]; i ← st-1; j ← dr+1',
+            '  repetă',
+            '    repetă i ← i+1 până când v[i] {reversed} pivot',
+            '    repetă j ← j-1 până când v[j] {inOrder} pivot',
+            '    dacă i ≥ j atunci returnează j',
+            '    interschimbă v[i], v[j]'
         ]
+    },
+    merge: {
+        key: 'merge',
+        name: 'Metoda Interclasării',
+        description: 'Împarte vectorul în două jumătăți, sortează fiecare jumătate, apoi interclasează-le folosind un buffer auxiliar.',
+        rules: [
+            'Interclasarea începe cu bucățile cele mai mici, de la stânga la dreapta',
+            'Copiază subvectorul curent în buffer, poziție cu poziție',
+            'Scrie înapoi, pe rând, cel {before} dintre primele elemente rămase ale celor două jumătăți',
+            'La egalitate, alege elementul din jumătatea stângă',
+            'Dacă jumătățile sunt deja în ordine, interclasarea nu mai e necesară'
+        ],
+        pseudocode: [
+            'mergeSort(st, dr):',
+            '  dacă st < dr atunci',
+            '    m ← (st+dr) div 2',
+            '    mergeSort(st, m)',
+            '    mergeSort(m+1, dr)',
+            '    dacă v[m] {follows} v[m+1] atunci interclasează(st, m, dr)',
+            'interclasează(st, m, dr):',
+            '  pentru k ← st, dr execută aux[k] ← v[k]',
+            '  i ← st; j ← m+1',
+            '  pentru k ← st, dr execută',
+            '    dacă j > dr sau (i ≤ m și aux[i] {inOrder} aux[j]) atunci',
+            '      v[k] ← aux[i]; i ← i+1',
+            '    altfel v[k] ← aux[j]; j ← j+1'
+        ],
+        usesBuffer: true
+    },
+    heap: {
+        key: 'heap',
+        name: 'Metoda Heap',
+        description: 'Transformă vectorul într-un {heapName} (fiecare părinte {reversed} copiii lui), apoi mută pe rând {last} din rădăcină la finalul vectorului și refă heap-ul.',
+        rules: [
+            'Copiii nodului i sunt la pozițiile 2i+1 și 2i+2',
+            'Construcție: cerne nodurile de la ultimul părinte până la rădăcină',
+            'Cernere: dacă un copil e {after} decât părintele, schimbă părintele cu copilul cel {after}',
+            'Extragere: schimbă rădăcina cu ultimul element din heap, apoi cerne noua rădăcină',
+            'Elementele extrase rămân fixate la finalul vectorului'
+        ],
+        pseudocode: [
+            'pentru i ← n div 2 - 1, 0 execută cerne(i, n)',
+            'pentru final ← n-1, 1 execută',
+            '  interschimbă v[0], v[final]',
+            '  cerne(0, final)',
+            'cerne(nod, dim):',
+            '  cât timp 2·nod+1 < dim execută',
+            '    c ← copilul {after} al lui nod',
+            '    dacă v[c] {inOrder} v[nod] atunci STOP',
+            '    interschimbă v[nod], v[c]',
+            '    nod ← c'
+        ],
+        showsTree: true
     }
 };
 
+/**
+ * Fazele Heap Sort
+ */
+export const HEAP_PHASES = {
+    BUILD: 'build',     // Construirea heap-ului
+    EXTRACT: 'extract'  // Extragerea repetată a maximului
+};
+
+/**
+ * Rândurile de carduri: vectorul de lucru și bufferul auxiliar
+ */
+export const ROWS = {
+    MAIN: 'main',
+    BUFFER: 'buffer'
+};
+
+/**
+ * Scheme de partiționare pentru Quick Sort
+ */
+export const PARTITION_SCHEMES = {
+    LOMUTO: 'lomuto',
+    HOARE: 'hoare'
+};
+
 /**
  * Tipuri de pași în algoritm
+ *
+ * Pe lângă tip, fiecare pas conține liniile de pseudocod pe care le execută
+ * (`lines`, numerotate de la 1) și valorile variabilelor din buclă (`vars`).
  */
 export const STEP_TYPES = {
     SWAP: 'swap',           // Schimbă două elemente
     COMPARE: 'compare',     // Compară (fără schimbare)
-    NO_ACTION: 'no_action'  // Nu e nevoie de acțiune (elementele sunt în ordine)
+    NO_ACTION: 'no_action', // Nu e nevoie de acțiune (elementele sunt în ordine)
+    COPY: 'copy',           // Copiază un element din vector în buffer
+    WRITE: 'write'          // Scrie un element din buffer înapoi în vector
 };
 
+/**
+ * Verifică dacă un pas mută o valoare între vector și buffer
+ * @param {Object} step - Pasul de verificat
+ * @returns {boolean}
+ */
+export function isTransferStep(step) {
+    return step?.type === STEP_TYPES.COPY || step?.type === STEP_TYPES.WRITE;
+}
+
+/**
+ * Verifică dacă un pas cere confirmarea „Nicio schimbare”
+ * (pașii de comparare din modul strict)
+ * @param {Object} step - Pasul de verificat
+ * @returns {boolean}
+ */
+export function isSkipStep(step) {
+    return step?.type === STEP_TYPES.COMPARE || step?.type === STEP_TYPES.NO_ACTION;
+}
+
+/**
+ * Scrie cu majusculă prima literă (pentru cuvintele din ordinea de sortare)
+ * @param {string} text - Textul
+ * @returns {string}
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Completează un text al algoritmului cu cuvintele ordinii de sortare
+ *
+ * Comparațiile dintre elemente sunt scrise ca `{precedes}`, `{follows}`,
+ * `{inOrder}` sau `{reversed}`, iar cuvintele ca `{before}`, `{first}`,
+ * `{backZone}` etc. (vezi `SORT_ORDERS`); comparațiile dintre indici rămân neschimbate.
+ * @param {string} text - Textul (descriere, regulă sau linie de pseudocod)
+ * @param {Object} order - Ordinea de sortare
+ * @returns {string}
+ */
+export function formatOrderText(text, order = SORT_ORDERS.asc) {
+    return text.replace(/\{(\w+)\}/g, (match, label) => order[label] ?? match);
+}
+
+/**
+ * Completează pseudocodul cu simbolurile ordinii de sortare
+ * @param {string[]} lines - Liniile pseudocodului
+ * @param {Object} order - Ordinea de sortare
+ * @returns {string[]}
+ */
+export function formatPseudocode(lines = [], order = SORT_ORDERS.asc) {
+    return lines.map(line => formatOrderText(line, order));
+}
+
 /**
  * Generează coada de pași pentru Bubble Sort
  * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`strict`: include și comparațiile fără schimbare;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
  * @returns {Object[]} - Coada de pași necesari
  */
-export function generateBubbleSortSteps(arr) {
+export function generateBubbleSortSteps(arr, options = {}) {
     const steps = [];
     const array = [...arr];
     const n = array.length;
+    const order = resolveSortOrder(options);
 
     for (let i = 0; i < n - 1; i++) {
         let swapped = false;
 
         for (let j = 0; j < n - i - 1; j++) {
             // Adaugă pas de comparare/schimbare
-            if (array[j] > array[j + 1]) {
+            if (order.compare(array[j], array[j + 1]) > 0) {
                 steps.push({
                     type: STEP_TYPES.SWAP,
                     indices: [j, j + 1],
                     values: [array[j], array[j + 1]],
                     message: `Schimbă ${array[j]} cu ${array[j + 1]} (poziții ${j} și ${j + 1})`,
                     pass: i + 1,
-                    position: j
+                    position: j,
+                    lines: [4, 5],
+                    vars: { trecere: i + 1, i, j }
                 });
 
                 // Efectuează schimbarea virtual
                 [array[j], array[j + 1]] = [array[j + 1], array[j]];
                 swapped = true;
+            } else if (options.strict) {
+                steps.push({
+                    type: STEP_TYPES.COMPARE,
+                    indices: [j, j + 1],
+                    values: [array[j], array[j + 1]],
+                    message: `${array[j]} ${order.inOrder} ${array[j + 1]}: pozițiile ${j} și ${j + 1} sunt în ordine, nu le schimba`,
+                    pass: i + 1,
+                    position: j,
+                    lines: [4],
+                    vars: { trecere: i + 1, i, j }
+                });
             }
         }
 
@@ -91,18 +317,21 @@ export function generateBubbleSortSteps(arr) {
 /**
  * Generează coada de pași pentru Selection Sort
  * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`strict`: confirmă și minimele deja la locul lor;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
  * @returns {Object[]} - Coada de pași necesari
  */
-export function generateSelectionSortSteps(arr) {
+export function generateSelectionSortSteps(arr, options = {}) {
     const steps = [];
     const array = [...arr];
     const n = array.length;
+    const order = resolveSortOrder(options);
 
     for (let i = 0; i < n - 1; i++) {
-        // Găsește minimul din partea nesortată
+        // Găsește minimul (primul element în ordinea cerută) din partea nesortată
         let minIdx = i;
         for (let j = i + 1; j < n; j++) {
-            if (array[j] < array[minIdx]) {
+            if (order.compare(array[j], array[minIdx]) < 0) {
                 minIdx = j;
             }
         }
@@ -113,13 +342,26 @@ export function generateSelectionSortSteps(arr) {
                 type: STEP_TYPES.SWAP,
                 indices: [i, minIdx],
                 values: [array[i], array[minIdx]],
-                message: `Mută minimul ${array[minIdx]} de la poziția ${minIdx} la poziția ${i}`,
+                message: `Mută ${order.first} ${array[minIdx]} de la poziția ${minIdx} la poziția ${i}`,
                 sortedPosition: i,
-                minIndex: minIdx
+                minIndex: minIdx,
+                lines: [5, 6],
+                vars: { trecere: i + 1, i, minIdx }
             });
 
             // Efectuează schimbarea virtual
             [array[i], array[minIdx]] = [array[minIdx], array[i]];
+        } else if (options.strict) {
+            steps.push({
+                type: STEP_TYPES.NO_ACTION,
+                indices: [i, i],
+                values: [array[i], array[i]],
+                message: `${capitalize(order.first)} ${array[i]} este deja pe poziția ${i}, nu e nevoie de schimbare`,
+                sortedPosition: i,
+                minIndex: i,
+                lines: [5],
+                vars: { trecere: i + 1, i, minIdx }
+            });
         }
     }
 
@@ -129,50 +371,500 @@ export function generateSelectionSortSteps(arr) {
 /**
  * Generează coada de pași pentru Insertion Sort
  * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`strict`: include comparația care oprește inserarea;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
  * @returns {Object[]} - Coada de pași necesari
  */
-export function generateInsertionSortSteps(arr) {
+export function generateInsertionSortSteps(arr, options = {}) {
     const steps = [];
     const array = [...arr];
     const n = array.length;
+    const order = resolveSortOrder(options);
 
     for (let i = 1; i < n; i++) {
         let j = i;
 
         // Mută elementul spre stânga până ajunge la poziția corectă
-        while (j > 0 && array[j - 1] > array[j]) {
+        while (j > 0 && order.compare(array[j - 1], array[j]) > 0) {
             steps.push({
                 type: STEP_TYPES.SWAP,
                 indices: [j - 1, j],
                 values: [array[j - 1], array[j]],
                 message: `Mută ${array[j]} spre stânga (schimbă cu ${array[j - 1]})`,
                 insertingElement: i,
-                currentPosition: j
+                currentPosition: j,
+                lines: [3, 4],
+                vars: { trecere: i, i, j }
             });
 
             // Efectuează schimbarea virtual
             [array[j - 1], array[j]] = [array[j], array[j - 1]];
             j--;
         }
+
+        // Comparația care oprește inserarea
+        if (options.strict && j > 0) {
+            steps.push({
+                type: STEP_TYPES.COMPARE,
+                indices: [j - 1, j],
+                values: [array[j - 1], array[j]],
+                message: `${array[j - 1]} ${order.inOrder} ${array[j]}: ${array[j]} a ajuns la locul lui, nu mai schimba`,
+                insertingElement: i,
+                currentPosition: j,
+                lines: [3],
+                vars: { trecere: i, i, j }
+            });
+        }
+    }
+
+    return steps;
+}
+
+/**
+ * Generează coada de pași pentru Quick Sort
+ *
+ * Fiecare pas conține subvectorul curent (`range`) și pivotul, pentru ca
+ * interfața să poată evidenția partiția activă.
+ * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`partitionScheme`: 'lomuto' sau 'hoare';
+ *                           `strict`: include comparațiile cu pivotul fără schimbare;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
+ * @returns {Object[]} - Coada de pași necesari
+ */
+export function generateQuickSortSteps(arr, options = {}) {
+    const steps = [];
+    const array = [...arr];
+    const order = resolveSortOrder(options);
+    const scheme = options.partitionScheme === PARTITION_SCHEMES.HOARE
+        ? PARTITION_SCHEMES.HOARE
+        : PARTITION_SCHEMES.LOMUTO;
+
+    // Partiționare Lomuto: pivotul este ultimul element
+    const partitionLomuto = (lo, hi) => {
+        const pivot = array[hi];
+        let i = lo;
+
+        const context = { scheme, range: [lo, hi], pivotIndex: hi, pivotValue: pivot };
+
+        for (let j = lo; j < hi; j++) {
+            if (order.compare(array[j], pivot) < 0) {
+                // Un element deja la locul lui nu necesită schimbare
+                if (i === j && options.strict) {
+                    steps.push({
+                        type: STEP_TYPES.NO_ACTION,
+                        indices: [j, j],
+                        values: [array[j], array[j]],
+                        message: `${array[j]} este ${order.before} decât pivotul ${pivot}, dar e deja în zona „${order.frontZone}”`,
+                        phase: 'partition',
+                        ...context,
+                        lines: [9, 10],
+                        vars: { st: lo, dr: hi, pivot, i, j }
+                    });
+                } else if (i !== j) {
+                    steps.push({
+                        type: STEP_TYPES.SWAP,
+                        indices: [i, j],
+                        values: [array[i], array[j]],
+                        message: `${array[j]} este ${order.before} decât pivotul ${pivot}: schimbă-l cu ${array[i]} (poziții ${i} și ${j})`,
+                        phase: 'partition',
+                        scheme,
+                        range: [lo, hi],
+                        pivotIndex: hi,
+                        pivotValue: pivot,
+                        lines: [9, 10],
+                        vars: { st: lo, dr: hi, pivot, i, j }
+                    });
+
+                    [array[i], array[j]] = [array[j], array[i]];
+                }
+                i++;
+            } else if (options.strict) {
+                steps.push({
+                    type: STEP_TYPES.COMPARE,
+                    indices: [j, hi],
+                    values: [array[j], pivot],
+                    message: `${array[j]} nu este ${order.before} decât pivotul ${pivot}: rămâne în zona „${order.backZone}”`,
+                    phase: 'partition',
+                    ...context,
+                    lines: [9],
+                    vars: { st: lo, dr: hi, pivot, i, j }
+                });
+            }
+        }
+
+        // Plasează pivotul la poziția finală
+        if (i !== hi) {
+            steps.push({
+                type: STEP_TYPES.SWAP,
+                indices: [i, hi],
+                values: [array[i], array[hi]],
+                message: `Pune pivotul ${pivot} la poziția finală ${i} (schimbă cu ${array[i]})`,
+                phase: 'pivot',
+                scheme,
+                range: [lo, hi],
+                pivotIndex: hi,
+                pivotValue: pivot,
+                lines: [12],
+                vars: { st: lo, dr: hi, pivot, i }
+            });
+
+            [array[i], array[hi]] = [array[hi], array[i]];
+        } else if (options.strict) {
+            steps.push({
+                type: STEP_TYPES.NO_ACTION,
+                indices: [hi, hi],
+                values: [pivot, pivot],
+                message: `Pivotul ${pivot} este deja la poziția finală ${hi}`,
+                phase: 'pivot',
+                ...context,
+                lines: [12],
+                vars: { st: lo, dr: hi, pivot, i }
+            });
+        }
+
+        return i;
+    };
+
+    // Partiționare Hoare: pivotul este primul element
+    const partitionHoare = (lo, hi) => {
+        const pivot = array[lo];
+        let pivotIndex = lo;
+        let i = lo - 1;
+        let j = hi + 1;
+
+        while (true) {
+            do { i++; } while (order.compare(array[i], pivot) < 0);
+            do { j--; } while (order.compare(array[j], pivot) > 0);
+
+            if (i >= j) {
+                // Indicii s-au întâlnit: partiționarea se încheie fără schimbare
+                if (options.strict) {
+                    steps.push({
+                        type: STEP_TYPES.COMPARE,
+                        indices: [Math.min(i, j), Math.max(i, j)],
+                        values: [array[Math.min(i, j)], array[Math.max(i, j)]],
+                        message: `Indicii s-au întâlnit (pozițiile ${j} și ${i}): partiționarea după pivotul ${pivot} s-a încheiat`,
+                        phase: 'partition',
+                        scheme,
+                        range: [lo, hi],
+                        pivotIndex,
+                        pivotValue: pivot,
+                        lines: [11],
+                        vars: { st: lo, dr: hi, pivot, i, j }
+                    });
+                }
+                return j;
+            }
+
+            steps.push({
+                type: STEP_TYPES.SWAP,
+                indices: [i, j],
+                values: [array[i], array[j]],
+                message: `Schimbă ${array[i]} (poziția ${i}) cu ${array[j]} (poziția ${j}) față de pivotul ${pivot}`,
+                phase: 'partition',
+                scheme,
+                range: [lo, hi],
+                pivotIndex,
+                pivotValue: pivot,
+                lines: [12],
+                vars: { st: lo, dr: hi, pivot, i, j }
+            });
+
+            [array[i], array[j]] = [array[j], array[i]];
+
+            // Pivotul se poate muta în timpul partiționării Hoare
+            if (pivotIndex === i) {
+                pivotIndex = j;
+            } else if (pivotIndex === j) {
+                pivotIndex = i;
+            }
+        }
+    };
+
+    const sort = (lo, hi) => {
+        if (lo >= hi) return;
+
+        if (scheme === PARTITION_SCHEMES.HOARE) {
+            const p = partitionHoare(lo, hi);
+            sort(lo, p);
+            sort(p + 1, hi);
+        } else {
+            const p = partitionLomuto(lo, hi);
+            sort(lo, p - 1);
+            sort(p + 1, hi);
+        }
+    };
+
+    sort(0, array.length - 1);
+
+    return steps;
+}
+
+/**
+ * Generează coada de pași pentru Merge Sort
+ *
+ * Fiecare interclasare copiază subvectorul în buffer (pași `copy`), apoi
+ * scrie valorile înapoi în ordine (pași `write`), golind bufferul.
+ * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`strict`: confirmă jumătățile deja în ordine;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
+ * @returns {Object[]} - Coada de pași necesari
+ */
+export function generateMergeSortSteps(arr, options = {}) {
+    const steps = [];
+    const array = [...arr];
+    const order = resolveSortOrder(options);
+    const buffer = new Array(array.length).fill(null);
+
+    const merge = (lo, mid, hi) => {
+        const mergeInfo = { range: [lo, hi], left: [lo, mid], right: [mid + 1, hi] };
+
+        // Copiază subvectorul curent în buffer
+        for (let k = lo; k <= hi; k++) {
+            steps.push({
+                type: STEP_TYPES.COPY,
+                source: { row: ROWS.MAIN, index: k },
+                target: { row: ROWS.BUFFER, index: k },
+                indices: [k, k],
+                values: [array[k]],
+                message: `Copiază ${array[k]} de la poziția ${k} în buffer`,
+                ...mergeInfo,
+                lines: [8],
+                vars: { st: lo, m: mid, dr: hi, k }
+            });
+            buffer[k] = array[k];
+        }
+
+        // Scrie înapoi primul (în ordinea cerută) dintre capetele celor două jumătăți
+        let i = lo;
+        let j = mid + 1;
+        for (let k = lo; k <= hi; k++) {
+            const vars = { st: lo, m: mid, dr: hi, k, i, j };
+            let from;
+            if (i > mid) {
+                from = j++;
+            } else if (j > hi) {
+                from = i++;
+            } else if (order.compare(buffer[j], buffer[i]) < 0) {
+                from = j++;
+            } else {
+                from = i++;
+            }
+
+            steps.push({
+                type: STEP_TYPES.WRITE,
+                source: { row: ROWS.BUFFER, index: from },
+                target: { row: ROWS.MAIN, index: k },
+                indices: [from, k],
+                values: [buffer[from]],
+                message: `Scrie ${buffer[from]} din buffer (poziția ${from}) la poziția ${k}`,
+                ...mergeInfo,
+                lines: from <= mid ? [11, 12] : [11, 13],
+                vars
+            });
+            array[k] = buffer[from];
+            buffer[from] = null;
+        }
+    };
+
+    const sort = (lo, hi) => {
+        if (lo >= hi) return;
+
+        const mid = Math.floor((lo + hi) / 2);
+        sort(lo, mid);
+        sort(mid + 1, hi);
+
+        // Jumătățile deja în ordine nu mai trebuie interclasate
+        if (order.compare(array[mid], array[mid + 1]) > 0) {
+            merge(lo, mid, hi);
+        } else if (options.strict) {
+            steps.push({
+                type: STEP_TYPES.COMPARE,
+                indices: [mid, mid + 1],
+                values: [array[mid], array[mid + 1]],
+                message: `${array[mid]} ${order.inOrder} ${array[mid + 1]}: jumătățile dintre pozițiile ${lo} și ${hi} sunt deja în ordine`,
+                range: [lo, hi],
+                left: [lo, mid],
+                right: [mid + 1, hi],
+                lines: [6],
+                vars: { st: lo, m: mid, dr: hi }
+            });
+        }
+    };
+
+    sort(0, array.length - 1);
+
+    return steps;
+}
+
+/**
+ * Generează coada de pași pentru Heap Sort
+ *
+ * Pașii de cernere conțin perechea părinte/copil comparată (`compared`),
+ * iar fiecare pas conține dimensiunea heap-ului în acel moment (`heapSize`).
+ * Pentru ordinea descrescătoare se construiește un min-heap (comparatorul inversat).
+ * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni (`strict`: include comparația care oprește cernerea;
+ *                           `direction`/`sortOrder`: ordinea de sortare)
+ * @returns {Object[]} - Coada de pași necesari
+ */
+export function generateHeapSortSteps(arr, options = {}) {
+    const steps = [];
+    const array = [...arr];
+    const n = array.length;
+    const order = resolveSortOrder(options);
+    const outranks = (a, b) => order.compare(array[a], array[b]) > 0;
+
+    // Coboară nodul `start` până când heap-ul de dimensiune `end` e valid;
+    // `loopVars` sunt variabilele buclei care a apelat cernerea
+    const siftDown = (start, end, phase, loopVars) => {
+        let root = start;
+
+        while (2 * root + 1 < end) {
+            const left = 2 * root + 1;
+            const right = left + 1;
+            let largest = root;
+
+            if (outranks(left, largest)) largest = left;
+            if (right < end && outranks(right, largest)) largest = right;
+
+            if (largest === root) {
+                if (options.strict) {
+                    const child = right < end && outranks(right, left) ? right : left;
+                    steps.push({
+                        type: STEP_TYPES.COMPARE,
+                        indices: [root, child],
+                        values: [array[root], array[child]],
+                        message: `${array[root]} ${order.reversed} copiii lui: nodul ${root} respectă proprietatea de heap, nu schimba`,
+                        phase,
+                        operation: 'sift',
+                        siftNode: root,
+                        compared: [root, child],
+                        heapSize: end,
+                        lines: [8],
+                        vars: { ...loopVars, nod: root, c: child, dim: end }
+                    });
+                }
+                return;
+            }
+
+            steps.push({
+                type: STEP_TYPES.SWAP,
+                indices: [root, largest],
+                values: [array[root], array[largest]],
+                message: `Cerne ${array[root]}: schimbă-l cu copilul ${order.after} ${array[largest]} (poziții ${root} și ${largest})`,
+                phase,
+                operation: 'sift',
+                siftNode: root,
+                compared: [root, largest],
+                heapSize: end,
+                lines: [9],
+                vars: { ...loopVars, nod: root, c: largest, dim: end }
+            });
+
+            [array[root], array[largest]] = [array[largest], array[root]];
+            root = largest;
+        }
+    };
+
+    // Faza 1: construiește heap-ul (max-heap pentru ordinea crescătoare)
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+        siftDown(i, n, HEAP_PHASES.BUILD, { i });
+    }
+
+    // Faza 2: extrage rădăcina și refă heap-ul
+    for (let end = n - 1; end > 0; end--) {
+        steps.push({
+            type: STEP_TYPES.SWAP,
+            indices: [0, end],
+            values: [array[0], array[end]],
+            message: `Extrage ${order.last} ${array[0]}: schimbă-l cu ${array[end]} (poziția ${end})`,
+            phase: HEAP_PHASES.EXTRACT,
+            operation: 'extract',
+            siftNode: null,
+            compared: [0, end],
+            heapSize: end + 1,
+            lines: [3],
+            vars: { final: end }
+        });
+
+        [array[0], array[end]] = [array[end], array[0]];
+        siftDown(0, end, HEAP_PHASES.EXTRACT, { final: end });
     }
 
     return steps;
 }
 
+/**
+ * Descrie zona deja sortată și trecerea curentă pentru metodele elementare
+ *
+ * Zona se deduce din pasul așteptat: coada finală la Metoda Bulelor, prefixul
+ * fixat la Metoda Selecției și prefixul sortat la Metoda Inserției.
+ * @param {string} algorithmKey - Cheia algoritmului
+ * @param {Object|null} step - Pasul așteptat (null după ultimul pas)
+ * @param {number} length - Lungimea vectorului
+ * @param {Object} order - Ordinea de sortare (pentru eticheta minimului)
+ * @returns {Object|null} - `{ sorted: [start, end), pass, totalPasses, focus: { index, label } | null }`;
+ *                          null pentru algoritmii fără o zonă sortată continuă
+ */
+export function getSortedRegion(algorithmKey, step, length, order = SORT_ORDERS.asc) {
+    const totalPasses = Math.max(length - 1, 0);
+
+    if (!['bubble', 'selection', 'insertion'].includes(algorithmKey)) return null;
+
+    // După ultimul pas, tot vectorul este sortat
+    if (!step) {
+        return { sorted: [0, length], pass: totalPasses, totalPasses, focus: null };
+    }
+
+    switch (algorithmKey) {
+        case 'bubble':
+            return {
+                sorted: [length - (step.pass - 1), length],
+                pass: step.pass,
+                totalPasses,
+                focus: null
+            };
+
+        case 'selection':
+            return {
+                sorted: [0, step.sortedPosition],
+                pass: step.sortedPosition + 1,
+                totalPasses,
+                focus: { index: step.minIndex, label: order.first }
+            };
+
+        default:
+            return {
+                sorted: [0, step.insertingElement + 1],
+                pass: step.insertingElement,
+                totalPasses,
+                focus: { index: step.currentPosition, label: 'inserare' }
+            };
+    }
+}
+
 /**
  * Generează pașii pentru algoritmul specificat
- * @param {string} algorithmKey - Cheia algoritmului ('bubble', 'selection', 'insertion')
+ * @param {string} algorithmKey - Cheia algoritmului ('bubble', 'selection', 'insertion', 'quick', 'merge', 'heap')
  * @param {number[]} arr - Array-ul de sortat
+ * @param {Object} options - Opțiuni specifice algoritmului
  * @returns {Object[]} - Coada de pași
  */
-export function generateStepsForAlgorithm(algorithmKey, arr) {
+export function generateStepsForAlgorithm(algorithmKey, arr, options = {}) {
     switch (algorithmKey) {
         case 'bubble':
-            return generateBubbleSortSteps(arr);
+            return generateBubbleSortSteps(arr, options);
         case 'selection':
-            return generateSelectionSortSteps(arr);
+            return generateSelectionSortSteps(arr, options);
         case 'insertion':
-            return generateInsertionSortSteps(arr);
+            return generateInsertionSortSteps(arr, options);
+        case 'quick':
+            return generateQuickSortSteps(arr, options);
+        case 'merge':
+            return generateMergeSortSteps(arr, options);
+        case 'heap':
+            return generateHeapSortSteps(arr, options);
         default:
             throw new Error(`Algoritm necunoscut: ${algorithmKey}`);
     }
@@ -183,11 +875,28 @@ export function generateStepsForAlgorithm(algorithmKey, arr) {
  * @param {Object} expectedStep - Pasul așteptat din coadă
  * @param {number} index1 - Primul index propus
  * @param {number} index2 - Al doilea index propus
+ * @param {string} row1 - Rândul primului element ('main' sau 'buffer')
+ * @param {string} row2 - Rândul celui de-al doilea element
  * @returns {boolean} - True dacă mutarea e corectă
  */
-export function validateMove(expectedStep, index1, index2) {
+export function validateMove(expectedStep, index1, index2, row1 = ROWS.MAIN, row2 = ROWS.MAIN) {
     if (!expectedStep) return false;
 
+    // Pașii de comparare se confirmă cu „Nicio schimbare”, nu cu o mutare
+    if (isSkipStep(expectedStep)) return false;
+
+    if (isTransferStep(expectedStep)) {
+        const { source, target } = expectedStep;
+        const matches = (row, index, cell) => row === cell.row && index === cell.index;
+
+        // Sursa și destinația pot fi alese în orice ordine
+        return (matches(row1, index1, source) && matches(row2, index2, target)) ||
+               (matches(row1, index1, target) && matches(row2, index2, source));
+    }
+
+    // Schimbările au loc doar în vectorul de lucru
+    if (row1 !== ROWS.MAIN || row2 !== ROWS.MAIN) return false;
+
     const [expectedIdx1, expectedIdx2] = expectedStep.indices;
 
     // Verifică dacă indicii corespund (în orice ordine)
@@ -197,17 +906,31 @@ export function validateMove(expectedStep, index1, index2) {
 
 /**
  * Generează mesaj de eroare specific algoritmului
+ *
+ * Indicii `null` înseamnă că jucătorul a confirmat „Nicio schimbare”.
  * @param {string} algorithmKey - Cheia algoritmului
  * @param {Object} expectedStep - Pasul așteptat
- * @param {number} index1 - Primul index propus
- * @param {number} index2 - Al doilea index propus
+ * @param {number|null} index1 - Primul index propus
+ * @param {number|null} index2 - Al doilea index propus
+ * @param {number[]} numbers - Starea curentă a array-ului (pentru mesaje detaliate)
+ * @param {Object} order - Ordinea de sortare (pentru formularea mesajelor)
  * @returns {string} - Mesaj de eroare în română
  */
-export function getErrorMessage(algorithmKey, expectedStep, index1, index2) {
+export function getErrorMessage(algorithmKey, expectedStep, index1, index2, numbers = [], order = SORT_ORDERS.asc) {
     if (!expectedStep) {
         return 'Nu mai sunt mutări necesare! Verifică dacă array-ul este sortat.';
     }
 
+    // Pasul așteptat era o comparație fără schimbare
+    if (isSkipStep(expectedStep)) {
+        return `Mutare greșită! ${expectedStep.message}. Confirmă apăsând „Nicio schimbare”.`;
+    }
+
+    // Jucătorul a sărit un pas care necesita o mutare
+    if (index1 === null) {
+        return `Nu poți sări acest pas! ${expectedStep.message}.`;
+    }
+
     const [expIdx1, expIdx2] = expectedStep.indices;
     const [expVal1, expVal2] = expectedStep.values;
 
@@ -219,27 +942,93 @@ export function getErrorMessage(algorithmKey, expectedStep, index1, index2) {
             return `Mutare greșită! Conform Metodei Bulelor, trebuie să compari elementele de la pozițiile ${expIdx1} și ${expIdx2} (valorile ${expVal1} și ${expVal2}).`;
 
         case 'selection':
-            return `Mutare greșită! Conform Metodei Selecției, trebuie să muți minimul (${expVal2}) de la poziția ${expIdx2} la poziția ${expIdx1}.`;
+            return `Mutare greșită! Conform Metodei Selecției, trebuie să muți ${order.first} (${expVal2}) de la poziția ${expIdx2} la poziția ${expIdx1}.`;
 
         case 'insertion':
             return `Mutare greșită! Conform Metodei Inserției, trebuie să muți elementul ${expVal2} de la poziția ${expIdx2} spre stânga, schimbându-l cu ${expVal1}.`;
 
+        case 'quick':
+            return getQuickSortErrorMessage(expectedStep, index1, index2, numbers, order);
+
+        case 'merge':
+            if (expectedStep.type === STEP_TYPES.COPY) {
+                return `Interclasare între pozițiile ${expectedStep.range[0]} și ${expectedStep.range[1]}: copiază întâi subvectorul în buffer. Acum copiază ${expVal1} de la poziția ${expIdx1} în buffer, la poziția ${expIdx2}.`;
+            }
+            return `Mutare greșită! La poziția ${expIdx2} se scrie cel ${order.before} dintre primele elemente rămase din cele două jumătăți: ${expVal1} din buffer (poziția ${expIdx1}).`;
+
+        case 'heap': {
+            if (expectedStep.operation === 'extract') {
+                return `Heap-ul este valid: mută ${order.last} ${expVal1} din rădăcină la final, schimbându-l cu ${expVal2} (poziția ${expIdx2}).`;
+            }
+            const isChildOf = (child, parent) => child === 2 * parent + 1 || child === 2 * parent + 2;
+            if (!isChildOf(index1, index2) && !isChildOf(index2, index1)) {
+                return `Metoda Heap: poți schimba doar un părinte cu unul dintre copiii lui! Cerne nodul ${expIdx1} (${expVal1}): schimbă-l cu copilul ${order.after}, ${expVal2} (poziția ${expIdx2}).`;
+            }
+            return `Mutare greșită! Acum se cerne nodul ${expIdx1} (${expVal1}), care trebuie schimbat cu copilul ${order.after.toUpperCase()}: ${expVal2} (poziția ${expIdx2}).`;
+        }
+
         default:
             return `Mutare greșită! Trebuie să schimbi elementele de la pozițiile ${expIdx1} și ${expIdx2}.`;
     }
 }
 
+/**
+ * Generează mesajul de eroare pentru Quick Sort
+ * @param {Object} expectedStep - Pasul așteptat
+ * @param {number} index1 - Primul index propus
+ * @param {number} index2 - Al doilea index propus
+ * @param {number[]} numbers - Starea curentă a array-ului
+ * @param {Object} order - Ordinea de sortare
+ * @returns {string} - Mesaj de eroare în română
+ */
+function getQuickSortErrorMessage(expectedStep, index1, index2, numbers, order) {
+    const [expIdx1, expIdx2] = expectedStep.indices;
+    const [expVal1, expVal2] = expectedStep.values;
+    const { range: [lo, hi], pivotIndex, pivotValue } = expectedStep;
+
+    if ([index1, index2].some(idx => idx < lo || idx > hi)) {
+        return `Sortarea Rapidă: lucrezi acum doar în subvectorul dintre pozițiile ${lo} și ${hi} (pivot ${pivotValue})!`;
+    }
+
+    if (expectedStep.phase === 'pivot') {
+        return `Partiționarea s-a încheiat! Pune pivotul ${pivotValue} la poziția ${expIdx1}, schimbându-l cu ${expVal1}.`;
+    }
+
+    if (expectedStep.scheme === PARTITION_SCHEMES.HOARE) {
+        return `Mutare greșită! Conform partiționării Hoare, schimbă ${expVal1} (poziția ${expIdx1}, nu e ${order.before} decât pivotul ${pivotValue}) cu ${expVal2} (poziția ${expIdx2}, nu e ${order.after} decât pivotul).`;
+    }
+
+    if (index1 === pivotIndex || index2 === pivotIndex) {
+        return `Pivotul ${pivotValue} se mută abia la finalul partiționării! Acum schimbă ${expVal2} (poziția ${expIdx2}) cu ${expVal1} (poziția ${expIdx1}).`;
+    }
+
+    // Elementul mutat spre stânga trebuie să vină înaintea pivotului
+    const offender = [index1, index2].find(idx =>
+        idx !== expIdx1 && numbers[idx] !== undefined && order.compare(numbers[idx], pivotValue) >= 0
+    );
+    if (offender !== undefined) {
+        return `Elementul ${numbers[offender]} nu este ${order.before} decât pivotul ${pivotValue}! Următorul element ${order.before} este ${expVal2} (poziția ${expIdx2}): schimbă-l cu ${expVal1} (poziția ${expIdx1}).`;
+    }
+
+    return `Mutare greșită! Conform Sortării Rapide, schimbă ${expVal2} (${order.before} decât pivotul ${pivotValue}) cu ${expVal1} de la poziția ${expIdx1}.`;
+}
+
 /**
  * Returnează indicația pentru următoarea mutare
  * @param {string} algorithmKey - Cheia algoritmului
  * @param {Object} nextStep - Următorul pas din coadă
+ * @param {Object} order - Ordinea de sortare (pentru formularea indicației)
  * @returns {string} - Indicație în română
  */
-export function getNextMoveHint(algorithmKey, nextStep) {
+export function getNextMoveHint(algorithmKey, nextStep, order = SORT_ORDERS.asc) {
     if (!nextStep) {
         return 'Array-ul este sortat! Apasă "Verifică Soluția".';
     }
 
+    if (isSkipStep(nextStep)) {
+        return `${nextStep.message} → apasă „Nicio schimbare”`;
+    }
+
     const [idx1, idx2] = nextStep.indices;
     const [val1, val2] = nextStep.values;
 
@@ -248,11 +1037,32 @@ export function getNextMoveHint(algorithmKey, nextStep) {
             return `Compară pozițiile ${idx1} și ${idx2}: schimbă ${val1} cu ${val2}`;
 
         case 'selection':
-            return `Găsește minimul (${val2}) și mută-l la poziția ${idx1}`;
+            return `Găsește ${order.first} (${val2}) și mută-l la poziția ${idx1}`;
 
         case 'insertion':
             return `Inserează ${val2}: schimbă cu ${val1} (poziția ${idx1})`;
 
+        case 'quick':
+            if (nextStep.phase === 'pivot') {
+                return `Pune pivotul ${val2} la poziția ${idx1} (schimbă cu ${val1})`;
+            }
+            if (nextStep.scheme === PARTITION_SCHEMES.HOARE) {
+                return `Pivot ${nextStep.pivotValue}: schimbă ${val1} (poziția ${idx1}) cu ${val2} (poziția ${idx2})`;
+            }
+            return `Pivot ${nextStep.pivotValue}: ${val2} e ${order.before}, schimbă-l cu ${val1} (poziția ${idx1})`;
+
+        case 'merge':
+            if (nextStep.type === STEP_TYPES.COPY) {
+                return `Copiază ${val1} (poziția ${idx1}) în buffer`;
+            }
+            return `Scrie ${val1} din buffer (poziția ${idx1}) la poziția ${idx2}`;
+
+        case 'heap':
+            if (nextStep.operation === 'extract') {
+                return `Mută ${order.last} ${val1} la final: schimbă pozițiile ${idx1} și ${idx2}`;
+            }
+            return `Cerne nodul ${idx1} (${val1}): schimbă-l cu copilul ${order.after} ${val2} (poziția ${idx2})`;
+
         default:
             return `Schimbă pozițiile ${idx1} și ${idx2}`;
     }
@@ -0,0 +1,334 @@
+/**
+ * assignment.js - Teme date de profesor
+ *
+ * O temă este un fișier JSON cu o listă fixă de exerciții (vector + metodă),
+ * rezolvate de elev în ordine. La final se generează raportul elevului, cu
+ * statisticile și greșelile fiecărui exercițiu. Exemplu:
+ *
+ *     {
+ *         "title": "Tema 3 - Sortări elementare",
+ *         "timeLimit": 180,
+ *         "mode": "lenient",
+ *         "exercises": [
+ *             { "algorithm": "bubble", "numbers": [5, 3, 8, 1] },
+ *             { "algorithm": "quick", "numbers": [7, 2, 9, 4, 6], "mode": "strict", "timeLimit": 240 }
+ *         ]
+ *     }
+ *
+ * `timeLimit` (secunde, pentru fiecare exercițiu) și `mode` pot fi date pentru
+ * toată tema și suprascrise la un exercițiu. Un exercițiu mai poate avea
+ * `direction` ('asc'/'desc') și, la Sortarea Rapidă, `partitionScheme`.
+ */
+
+import { ALGORITHMS, PARTITION_SCHEMES } from './algorithms.js';
+import { validateCustomArray } from './difficulty.js';
+import { SORT_DIRECTIONS, SORT_ORDERS } from './sort-order.js';
+import { getSessionMistakes, prepareSession } from './session-export.js';
+
+/**
+ * Identificatorul și versiunea formatului raportului
+ */
+export const REPORT_FORMAT = 'sorting-game-assignment-report';
+export const REPORT_VERSION = 1;
+
+/**
+ * Modurile unei teme: strict cere și confirmarea comparațiilor fără schimbare
+ */
+export const ASSIGNMENT_MODES = {
+    STRICT: 'strict',
+    LENIENT: 'lenient'
+};
+
+/**
+ * Cum s-a încheiat un exercițiu
+ */
+export const EXERCISE_STATUS = {
+    SOLVED: 'solved',       // Vectorul a fost sortat
+    TIMED_OUT: 'timed-out', // Timpul a expirat
+    SKIPPED: 'skipped'      // Elevul a sărit peste exercițiu
+};
+
+/**
+ * Limitele unei teme
+ */
+const ASSIGNMENT_LIMITS = {
+    maxExercises: 30,
+    maxTimeLimit: 3600
+};
+
+/**
+ * Verifică o limită de timp
+ * @param {*} value - Valoarea din fișier
+ * @param {string} label - Unde apare (pentru mesajul de eroare)
+ * @returns {number|null} - Secundele sau null dacă nu există limită
+ * @throws {Error} - Dacă valoarea nu este un număr întreg de secunde
+ */
+function parseTimeLimit(value, label) {
+    if (value === undefined || value === null) return null;
+
+    if (!Number.isInteger(value) || value <= 0 || value > ASSIGNMENT_LIMITS.maxTimeLimit) {
+        throw new Error(`${label}: limita de timp trebuie să fie un număr de secunde între 1 și ${ASSIGNMENT_LIMITS.maxTimeLimit}.`);
+    }
+    return value;
+}
+
+/**
+ * Verifică modul de lucru
+ * @param {*} value - Valoarea din fișier
+ * @param {string} label - Unde apare (pentru mesajul de eroare)
+ * @returns {string|null} - Modul sau null dacă lipsește
+ * @throws {Error} - Dacă modul este necunoscut
+ */
+function parseMode(value, label) {
+    if (value === undefined || value === null) return null;
+
+    if (!Object.values(ASSIGNMENT_MODES).includes(value)) {
+        throw new Error(`${label}: modul trebuie să fie „strict” sau „lenient”.`);
+    }
+    return value;
+}
+
+/**
+ * Verifică și completează un exercițiu
+ * @param {Object} exercise - Exercițiul din fișier
+ * @param {number} index - Poziția lui în temă
+ * @param {Object} defaults - `{ timeLimit, mode }` ale temei
+ * @returns {Object} - `{ algorithmKey, numbers, direction, partitionScheme, timeLimit, strict }`
+ * @throws {Error} - Dacă exercițiul nu este valid
+ */
+function normalizeExercise(exercise, index, defaults) {
+    const label = `Exercițiul ${index + 1}`;
+
+    if (!exercise || typeof exercise !== 'object') {
+        throw new Error(`${label} nu este un obiect valid.`);
+    }
+    if (!ALGORITHMS[exercise.algorithm]) {
+        throw new Error(`${label} folosește o metodă necunoscută: ${exercise.algorithm}. ` +
+            `Metode posibile: ${Object.keys(ALGORITHMS).join(', ')}.`);
+    }
+
+    const direction = exercise.direction ?? SORT_DIRECTIONS.ASC;
+    if (!SORT_ORDERS[direction]) {
+        throw new Error(`${label}: ordinea trebuie să fie „asc” sau „desc”.`);
+    }
+
+    const partitionScheme = exercise.partitionScheme ?? PARTITION_SCHEMES.LOMUTO;
+    if (!Object.values(PARTITION_SCHEMES).includes(partitionScheme)) {
+        throw new Error(`${label}: partiționarea trebuie să fie „lomuto” sau „hoare”.`);
+    }
+
+    try {
+        validateCustomArray(exercise.numbers, SORT_ORDERS[direction]);
+    } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+    }
+
+    const mode = parseMode(exercise.mode, label) ?? defaults.mode;
+
+    return {
+        algorithmKey: exercise.algorithm,
+        numbers: [...exercise.numbers],
+        direction,
+        partitionScheme,
+        timeLimit: parseTimeLimit(exercise.timeLimit, label) ?? defaults.timeLimit,
+        strict: mode === ASSIGNMENT_MODES.STRICT
+    };
+}
+
+/**
+ * Citește o temă dintr-un fișier JSON
+ *
+ * Se acceptă și o listă simplă de exerciții, fără titlu și setări comune.
+ * @param {string} text - Conținutul fișierului
+ * @returns {Object} - `{ title, exercises }`
+ * @throws {Error} - Dacă fișierul nu descrie o temă validă
+ */
+export function parseAssignment(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Fișierul temei nu este un JSON valid.');
+    }
+
+    const source = Array.isArray(data) ? { exercises: data } : data;
+    if (!Array.isArray(source?.exercises) || source.exercises.length === 0) {
+        throw new Error('Tema nu conține niciun exercițiu (lista „exercises”).');
+    }
+    if (source.exercises.length > ASSIGNMENT_LIMITS.maxExercises) {
+        throw new Error(`O temă poate avea cel mult ${ASSIGNMENT_LIMITS.maxExercises} exerciții.`);
+    }
+
+    const defaults = {
+        timeLimit: parseTimeLimit(source.timeLimit, 'Tema'),
+        mode: parseMode(source.mode, 'Tema') ?? ASSIGNMENT_MODES.LENIENT
+    };
+
+    return {
+        title: String(source.title ?? '').trim() || 'Temă',
+        exercises: source.exercises.map((exercise, index) => normalizeExercise(exercise, index, defaults))
+    };
+}
+
+/**
+ * Parcurgerea unei teme de către un elev
+ */
+export class AssignmentRun {
+    /**
+     * @param {Object} assignment - Tema returnată de `parseAssignment()`
+     */
+    constructor(assignment) {
+        this.assignment = assignment;
+        this.currentIndex = 0;
+        this.results = [];
+    }
+
+    /**
+     * Numărul de exerciții
+     * @returns {number}
+     */
+    get length() {
+        return this.assignment.exercises.length;
+    }
+
+    /**
+     * Exercițiul curent
+     * @returns {Object|null} - Exercițiul sau null dacă tema s-a terminat
+     */
+    getCurrentExercise() {
+        return this.assignment.exercises[this.currentIndex] ?? null;
+    }
+
+    /**
+     * Opțiunile de joc ale exercițiului curent (vezi `GameEngine.startNewGame`)
+     * @returns {Object}
+     */
+    getGameOptions() {
+        const { numbers, direction, partitionScheme, strict } = this.getCurrentExercise();
+        return { numbers: [...numbers], direction, partitionScheme, strict, players: null };
+    }
+
+    /**
+     * Verifică dacă un joc poate începe în timpul temei
+     *
+     * Până la final se joacă doar exercițiul curent, exact cum a fost dat.
+     * @param {string} algorithmKey - Algoritmul jocului
+     * @param {Object} options - Opțiunile jocului (vezi `GameEngine.startNewGame`)
+     * @returns {boolean}
+     */
+    allowsGame(algorithmKey, options) {
+        if (this.isFinished()) return true;
+        if (this.isCurrentRecorded()) return false;
+
+        const exercise = this.getCurrentExercise();
+        const numbers = options.numbers ?? [];
+
+        return algorithmKey === exercise.algorithmKey &&
+            numbers.length === exercise.numbers.length &&
+            numbers.every((value, index) => value === exercise.numbers[index]) &&
+            options.direction === exercise.direction &&
+            options.partitionScheme === exercise.partitionScheme &&
+            Boolean(options.strict) === exercise.strict &&
+            !options.players;
+    }
+
+    /**
+     * Verifică dacă exercițiul curent și-a primit deja rezultatul
+     * @returns {boolean}
+     */
+    isCurrentRecorded() {
+        return this.results.length > this.currentIndex;
+    }
+
+    /**
+     * Salvează rezultatul exercițiului curent
+     * @param {string} status - Cum s-a încheiat (vezi EXERCISE_STATUS)
+     * @param {Object} session - Sesiunea jocului (`GameEngine.getSession()`)
+     */
+    recordResult(status, session) {
+        if (this.isCurrentRecorded()) return;
+        this.results.push({ status, session });
+    }
+
+    /**
+     * Trece la exercițiul următor
+     * @returns {Object|null} - Exercițiul următor sau null dacă tema s-a terminat
+     */
+    next() {
+        this.currentIndex++;
+        return this.getCurrentExercise();
+    }
+
+    /**
+     * Verifică dacă toate exercițiile au fost parcurse
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.results.length >= this.length;
+    }
+
+    /**
+     * Construiește raportul elevului
+     *
+     * Raportul conține și sesiunile complete, astfel încât profesorul să poată
+     * relua fiecare exercițiu cu „Importă sesiune”.
+     * @param {string} student - Numele elevului
+     * @returns {Object}
+     */
+    getReport(student) {
+        const exercises = this.results.map(({ status, session }, index) => {
+            const exercise = this.assignment.exercises[index];
+            return {
+                exercise: index + 1,
+                algorithmKey: exercise.algorithmKey,
+                algorithmName: session.algorithmName,
+                numbers: [...exercise.numbers],
+                direction: exercise.direction,
+                strict: exercise.strict,
+                timeLimit: exercise.timeLimit,
+                status,
+                stats: session.stats,
+                mistakes: getSessionMistakes(session)
+            };
+        });
+
+        const solved = exercises.filter(exercise => exercise.status === EXERCISE_STATUS.SOLVED);
+
+        return {
+            format: REPORT_FORMAT,
+            version: REPORT_VERSION,
+            generatedAt: new Date().toISOString(),
+            assignment: this.assignment.title,
+            student,
+            summary: {
+                exercises: this.length,
+                solved: solved.length,
+                mistakes: exercises.reduce((total, exercise) => total + exercise.mistakes.length, 0),
+                averageEfficiency: solved.length > 0
+                    ? Math.round(solved.reduce((total, exercise) => total + exercise.stats.efficiency, 0) / solved.length)
+                    : 0,
+                duration: exercises.reduce((total, exercise) => total + exercise.stats.duration, 0)
+            },
+            exercises,
+            sessions: this.results.map(({ session }) => prepareSession({ ...session, nickname: student }))
+        };
+    }
+}
+
+/**
+ * Construiește numele fișierului de raport
+ * @param {string} title - Titlul temei
+ * @param {string} student - Numele elevului
+ * @returns {string} - De ex. `raport-tema-3-ana-2025-03-14.json`
+ */
+export function getReportFilename(title, student) {
+    const slug = (text) => text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    const date = new Date().toISOString().slice(0, 10);
+
+    return ['raport', slug(title), slug(student), date].filter(Boolean).join('-') + '.json';
+}
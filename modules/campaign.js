@@ -0,0 +1,227 @@
+/**
+ * campaign.js - Campania pe niveluri
+ *
+ * Nivelurile încep cu vectori mici și Metoda Bulelor și introduc pe rând
+ * vectori mai lungi și metode noi. Un nivel se deblochează doar după ce
+ * nivelul anterior a fost terminat cu eficiența cerută. Progresul se
+ * păstrează în localStorage.
+ */
+
+import { ALGORITHMS, PARTITION_SCHEMES } from './algorithms.js';
+import { CUSTOM_DIFFICULTY, INPUT_ORDERS } from './difficulty.js';
+import { SORT_DIRECTIONS } from './sort-order.js';
+
+/**
+ * Cheia folosită în localStorage
+ */
+const STORAGE_KEY = 'sortingGame.campaign';
+
+/**
+ * Nivelurile campaniei, în ordine; `difficulty` are forma setărilor personalizate
+ */
+export const CAMPAIGN_LEVELS = [
+    {
+        id: 1,
+        name: 'Primii pași',
+        algorithmKey: 'bubble',
+        difficulty: { length: 3, minValue: 1, maxValue: 9, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 60
+    },
+    {
+        id: 2,
+        name: 'Bule mai mari',
+        algorithmKey: 'bubble',
+        difficulty: { length: 5, minValue: 1, maxValue: 20, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 70
+    },
+    {
+        id: 3,
+        name: 'Caută minimul',
+        algorithmKey: 'selection',
+        difficulty: { length: 4, minValue: 1, maxValue: 20, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 70
+    },
+    {
+        id: 4,
+        name: 'Selecție completă',
+        algorithmKey: 'selection',
+        difficulty: { length: 6, minValue: 1, maxValue: 30, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 75
+    },
+    {
+        id: 5,
+        name: 'Cărți în mână',
+        algorithmKey: 'insertion',
+        difficulty: { length: 5, minValue: 1, maxValue: 30, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 75
+    },
+    {
+        id: 6,
+        name: 'Invers',
+        algorithmKey: 'insertion',
+        difficulty: { length: 6, minValue: 1, maxValue: 30, duplicates: false, order: INPUT_ORDERS.REVERSED },
+        minEfficiency: 80
+    },
+    {
+        id: 7,
+        name: 'Împarte și interclasează',
+        algorithmKey: 'merge',
+        difficulty: { length: 6, minValue: 1, maxValue: 40, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 80
+    },
+    {
+        id: 8,
+        name: 'Pivotul',
+        algorithmKey: 'quick',
+        difficulty: { length: 6, minValue: 1, maxValue: 40, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 80
+    },
+    {
+        id: 9,
+        name: 'Grămada',
+        algorithmKey: 'heap',
+        difficulty: { length: 7, minValue: 1, maxValue: 50, duplicates: false, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 80
+    },
+    {
+        id: 10,
+        name: 'Maestrul sortării',
+        algorithmKey: 'quick',
+        difficulty: { length: 9, minValue: 1, maxValue: 50, duplicates: true, order: INPUT_ORDERS.RANDOM },
+        minEfficiency: 85
+    }
+];
+
+/**
+ * Găsește un nivel după număr
+ * @param {number|string} id - Numărul nivelului (ex. din adresa paginii)
+ * @returns {Object|null}
+ */
+export function getCampaignLevel(id) {
+    return CAMPAIGN_LEVELS.find(level => level.id === Number(id)) ?? null;
+}
+
+/**
+ * Opțiunile de joc ale unui nivel (vezi `GameEngine.startNewGame`)
+ * @param {Object} level - Nivelul
+ * @returns {Object}
+ */
+export function getLevelGameOptions(level) {
+    return {
+        difficulty: CUSTOM_DIFFICULTY,
+        customDifficulty: { ...level.difficulty },
+        direction: SORT_DIRECTIONS.ASC,
+        partitionScheme: PARTITION_SCHEMES.LOMUTO,
+        strict: false,
+        players: null
+    };
+}
+
+/**
+ * Progresul jucătorului în campanie
+ */
+export class CampaignProgress {
+    /**
+     * @param {Storage|null} storage - Spațiul de stocare (implicit localStorage)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Nivelurile trecute, după număr
+     * @returns {Object} - `{ [id]: { bestEfficiency, completedAt } }`
+     */
+    getCompleted() {
+        try {
+            const raw = this.storage?.getItem(STORAGE_KEY);
+            const completed = raw ? JSON.parse(raw) : {};
+            return completed && typeof completed === 'object' ? completed : {};
+        } catch (error) {
+            console.error('Nu s-a putut citi progresul campaniei:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Verifică dacă un nivel a fost trecut
+     * @param {number} id - Numărul nivelului
+     * @returns {boolean}
+     */
+    isPassed(id) {
+        return Boolean(this.getCompleted()[id]);
+    }
+
+    /**
+     * Verifică dacă un nivel poate fi jucat (primul sau cel de după un nivel trecut)
+     * @param {number} id - Numărul nivelului
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        const index = CAMPAIGN_LEVELS.findIndex(level => level.id === id);
+        if (index < 0) return false;
+
+        return index === 0 || this.isPassed(CAMPAIGN_LEVELS[index - 1].id);
+    }
+
+    /**
+     * Starea tuturor nivelurilor, pentru harta campaniei
+     * @returns {Object[]} - `{ level, unlocked, passed, bestEfficiency }`
+     */
+    getLevels() {
+        const completed = this.getCompleted();
+
+        return CAMPAIGN_LEVELS.map((level, index) => ({
+            level,
+            unlocked: index === 0 || Boolean(completed[CAMPAIGN_LEVELS[index - 1].id]),
+            passed: Boolean(completed[level.id]),
+            bestEfficiency: completed[level.id]?.bestEfficiency ?? null
+        }));
+    }
+
+    /**
+     * Salvează rezultatul unui nivel jucat
+     * @param {Object} level - Nivelul
+     * @param {Object} stats - Statisticile jocului (`GameEngine.getStats()`)
+     * @returns {Object} - `{ level, passed, efficiency, nextLevel, unlocked }`; `unlocked`
+     *                     e adevărat doar dacă nivelul următor abia acum s-a deblocat
+     */
+    recordResult(level, stats) {
+        const completed = this.getCompleted();
+        const previous = completed[level.id];
+        const passed = stats.efficiency >= level.minEfficiency;
+        const index = CAMPAIGN_LEVELS.findIndex(other => other.id === level.id);
+
+        if (passed && (!previous || stats.efficiency > previous.bestEfficiency)) {
+            completed[level.id] = {
+                bestEfficiency: stats.efficiency,
+                completedAt: previous?.completedAt || new Date().toISOString()
+            };
+            try {
+                this.storage?.setItem(STORAGE_KEY, JSON.stringify(completed));
+            } catch (error) {
+                console.error('Nu s-a putut salva progresul campaniei:', error);
+            }
+        }
+
+        return {
+            level,
+            passed,
+            efficiency: stats.efficiency,
+            nextLevel: CAMPAIGN_LEVELS[index + 1] ?? null,
+            unlocked: passed && !previous
+        };
+    }
+}
+
+/**
+ * Numele metodei unui nivel
+ * @param {Object} level - Nivelul
+ * @returns {string}
+ */
+export function getLevelAlgorithmName(level) {
+    return ALGORITHMS[level.algorithmKey]?.name ?? level.algorithmKey;
+}
+
+// Exportă instanța singleton pentru utilizare globală
+export const campaignProgress = new CampaignProgress();
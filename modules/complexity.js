@@ -0,0 +1,102 @@
+/**
+ * complexity.js - Numărul de comparații și de mutări făcute de algoritmi
+ *
+ * Generatorii de pași compară elementele doar prin ordinea de sortare, deci
+ * e suficient să le dăm un comparator care se numără singur. Interschimbările
+ * și scrierile se citesc din coada de pași rezultată.
+ */
+
+import { ALGORITHMS, STEP_TYPES, generateStepsForAlgorithm } from './algorithms.js';
+import { resolveSortOrder } from './sort-order.js';
+import { createRandom, randomInt } from './random.js';
+
+/**
+ * Dimensiunile vectorilor folosite pentru graficul de creștere
+ */
+export const GROWTH_SIZES = [5, 10, 15, 20, 25, 30];
+
+/**
+ * Seed-ul vectorilor de măsurare (același grafic la fiecare joc)
+ */
+const GROWTH_SEED = 2024;
+
+/**
+ * Numărul de comparații din cazul cel mai defavorabil al metodelor elementare
+ * @param {number} n - Lungimea vectorului
+ * @returns {number} - n(n-1)/2
+ */
+export function worstCaseComparisons(n) {
+    return (n * (n - 1)) / 2;
+}
+
+/**
+ * Numără operațiile făcute de un algoritm pe un vector
+ * @param {string} algorithmKey - Cheia algoritmului
+ * @param {number[]} numbers - Vectorul de sortat
+ * @param {Object} options - `partitionScheme` și ordinea de sortare (`direction`/`sortOrder`)
+ * @returns {Object} - `{ comparisons, swaps, writes }`; `writes` numără copierile
+ *                     în buffer și scrierile înapoi (doar la Metoda Interclasării)
+ */
+export function countOperations(algorithmKey, numbers, options = {}) {
+    const order = resolveSortOrder(options);
+    let comparisons = 0;
+
+    const countingOrder = {
+        ...order,
+        compare: (a, b) => {
+            comparisons++;
+            return order.compare(a, b);
+        }
+    };
+
+    // Modul strict adaugă doar pași de confirmare, nu schimbă algoritmul
+    const steps = generateStepsForAlgorithm(algorithmKey, [...numbers], {
+        partitionScheme: options.partitionScheme,
+        sortOrder: countingOrder
+    });
+
+    return {
+        comparisons,
+        swaps: steps.filter(step => step.type === STEP_TYPES.SWAP).length,
+        writes: steps.filter(step => step.type === STEP_TYPES.COPY || step.type === STEP_TYPES.WRITE).length
+    };
+}
+
+/**
+ * Numără operațiile tuturor algoritmilor pe același vector
+ * @param {number[]} numbers - Vectorul
+ * @param {Object} options - Vezi `countOperations()`
+ * @returns {Object[]} - `{ key, name, comparisons, swaps, writes }` pentru fiecare algoritm
+ */
+export function compareAlgorithms(numbers, options = {}) {
+    return Object.values(ALGORITHMS).map(algorithm => ({
+        key: algorithm.key,
+        name: algorithm.name,
+        ...countOperations(algorithm.key, numbers, options)
+    }));
+}
+
+/**
+ * Măsoară cum crește numărul de comparații odată cu lungimea vectorului
+ * @param {Object} options - Vezi `countOperations()`
+ * @param {number[]} sizes - Lungimile măsurate
+ * @returns {Object} - `{ sizes, reference, series: { [key]: number[] } }`,
+ *                     unde `reference` conține valorile n(n-1)/2
+ */
+export function measureGrowth(options = {}, sizes = GROWTH_SIZES) {
+    const random = createRandom(GROWTH_SEED);
+    const series = Object.fromEntries(Object.keys(ALGORITHMS).map(key => [key, []]));
+
+    sizes.forEach(size => {
+        const numbers = Array.from({ length: size }, () => randomInt(random, 1, 99));
+        Object.keys(ALGORITHMS).forEach(key => {
+            series[key].push(countOperations(key, numbers, options).comparisons);
+        });
+    });
+
+    return {
+        sizes: [...sizes],
+        reference: sizes.map(worstCaseComparisons),
+        series
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * demo.js - Demonstrația automată a unui algoritm
+ *
+ * Demonstrația rulează un motor de joc separat pe același vector și execută,
+ * unul câte unul, pașii din `stepQueue`. Fiecare pas este însoțit de indicația
+ * care l-ar fi descris jucătorului, folosită ca narațiune.
+ */
+
+import { GameEngine, GAME_STATES } from './game-engine.js';
+import { isSkipStep, isTransferStep } from './algorithms.js';
+
+/**
+ * Execută pasul așteptat al unui joc exact cum l-ar face un jucător care nu greșește
+ * @param {GameEngine} engine - Motorul jocului
+ * @returns {Object} - `{ narration, result }`; `narration` descrie pasul executat
+ */
+export function playExpectedStep(engine) {
+    const step = engine.getCurrentExpectedStep();
+    const narration = engine.getNextMoveHint();
+    let result;
+
+    if (isSkipStep(step)) {
+        result = engine.confirmNoSwap();
+    } else if (isTransferStep(step)) {
+        result = engine.attemptSwap(step.source.index, step.target.index, step.source.row, step.target.row);
+    } else {
+        const [index1, index2] = step.indices;
+        result = engine.attemptSwap(index1, index2);
+    }
+
+    return { narration, result };
+}
+
+/**
+ * Un algoritm care se rezolvă singur, pas cu pas
+ */
+export class SortDemo {
+    /**
+     * @param {string} algorithmKey - Cheia algoritmului
+     * @param {Object} options - Opțiunile jocului demonstrat (vezi `GameEngine.startNewGame`)
+     * @throws {Error} - Dacă vectorul sau dificultatea nu sunt valide
+     */
+    constructor(algorithmKey, options = {}) {
+        this.engine = new GameEngine();
+
+        // Demonstrația mută singură, deci nu are jucători care să-și aștepte rândul
+        this.engine.startNewGame(algorithmKey, { ...options, players: null });
+    }
+
+    /**
+     * Numărul de pași ai demonstrației
+     * @returns {number}
+     */
+    get length() {
+        return this.engine.stepQueue.length;
+    }
+
+    /**
+     * Execută pasul curent exact cum l-ar face un jucător care nu greșește
+     * @returns {Object} - `{ narration, result }`; `narration` descrie pasul executat
+     */
+    forward() {
+        return playExpectedStep(this.engine);
+    }
+
+    /**
+     * Revine cu un pas
+     * @returns {Object} - Rezultatul anulării
+     */
+    back() {
+        // Ultimul pas încheie jocul demonstrației; derularea înapoi îl redeschide
+        if (this.engine.state === GAME_STATES.COMPLETED) {
+            this.engine.state = GAME_STATES.PLAYING;
+        }
+
+        return this.engine.undo();
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * difficulty.js - Niveluri de dificultate pentru vectorii generați
+ *
+ * Un nivel controlează lungimea vectorului, intervalul valorilor,
+ * dacă sunt permise duplicate și cât de „sortat” este vectorul inițial.
+ */
+
+import { SORT_ORDERS, isSortedBy } from './sort-order.js';
+
+/**
+ * Ordinea inițială a vectorului
+ */
+export const INPUT_ORDERS = {
+    RANDOM: 'random',               // Amestecat aleatoriu
+    NEARLY_SORTED: 'nearly-sorted', // Aproape sortat (cazul favorabil)
+    REVERSED: 'reversed'            // Sortat invers (cazul cel mai defavorabil)
+};
+
+/**
+ * Limitele acceptate pentru setările personalizate
+ */
+export const DIFFICULTY_LIMITS = {
+    minLength: 3,
+    maxLength: 10,
+    minValue: 0,
+    maxValue: 99
+};
+
+/**
+ * Nivelurile predefinite
+ */
+export const DIFFICULTY_PRESETS = {
+    easy: {
+        key: 'easy',
+        name: 'Ușor',
+        minLength: 4,
+        maxLength: 5,
+        minValue: 1,
+        maxValue: 10,
+        duplicates: false,
+        order: INPUT_ORDERS.RANDOM
+    },
+    medium: {
+        key: 'medium',
+        name: 'Mediu',
+        minLength: 5,
+        maxLength: 7,
+        minValue: 1,
+        maxValue: 20,
+        duplicates: false,
+        order: INPUT_ORDERS.RANDOM
+    },
+    hard: {
+        key: 'hard',
+        name: 'Greu',
+        minLength: 8,
+        maxLength: 10,
+        minValue: 1,
+        maxValue: 50,
+        duplicates: true,
+        order: INPUT_ORDERS.RANDOM
+    },
+    stability: {
+        key: 'stability',
+        name: 'Stabilitate',
+        minLength: 6,
+        maxLength: 7,
+        minValue: 1,
+        maxValue: 5,
+        duplicates: true,
+        order: INPUT_ORDERS.RANDOM
+    }
+};
+
+/**
+ * Cheia nivelului personalizat
+ */
+export const CUSTOM_DIFFICULTY = 'custom';
+
+/**
+ * Nivelul implicit
+ */
+export const DEFAULT_DIFFICULTY = 'medium';
+
+/**
+ * Cheia folosită când vectorul este dat explicit (nu generat)
+ */
+export const GIVEN_ARRAY_DIFFICULTY = 'array';
+
+/**
+ * Verifică setările unui nivel personalizat
+ * @param {Object} custom - `{ length, minValue, maxValue, duplicates, order }`
+ * @throws {Error} - Dacă setările nu sunt valide
+ */
+export function validateCustomDifficulty(custom) {
+    const { length, minValue, maxValue, duplicates, order } = custom;
+    const limits = DIFFICULTY_LIMITS;
+
+    if (!Number.isInteger(length) || length < limits.minLength || length > limits.maxLength) {
+        throw new Error(`Lungimea vectorului trebuie să fie între ${limits.minLength} și ${limits.maxLength}.`);
+    }
+
+    if (!Number.isInteger(minValue) || !Number.isInteger(maxValue) ||
+        minValue < limits.minValue || maxValue > limits.maxValue) {
+        throw new Error(`Valorile trebuie să fie numere întregi între ${limits.minValue} și ${limits.maxValue}.`);
+    }
+
+    if (minValue >= maxValue) {
+        throw new Error('Valoarea minimă trebuie să fie mai mică decât valoarea maximă.');
+    }
+
+    if (!duplicates && maxValue - minValue + 1 < length) {
+        throw new Error(`Fără duplicate, intervalul ${minValue}–${maxValue} nu are destule valori pentru ${length} elemente.`);
+    }
+
+    if (!Object.values(INPUT_ORDERS).includes(order)) {
+        throw new Error('Ordinea inițială aleasă nu este validă.');
+    }
+}
+
+/**
+ * Verifică un vector dat explicit (ex. exemplul de la curs)
+ * @param {number[]} numbers - Vectorul de sortat
+ * @param {Object} sortOrder - Ordinea în care va fi sortat
+ * @throws {Error} - Dacă vectorul nu poate fi folosit într-un joc
+ */
+export function validateCustomArray(numbers, sortOrder = SORT_ORDERS.asc) {
+    const limits = DIFFICULTY_LIMITS;
+
+    if (!Array.isArray(numbers) || numbers.length < limits.minLength || numbers.length > limits.maxLength) {
+        throw new Error(`Vectorul trebuie să aibă între ${limits.minLength} și ${limits.maxLength} elemente.`);
+    }
+
+    const invalid = numbers.find(value =>
+        !Number.isInteger(value) || value < limits.minValue || value > limits.maxValue
+    );
+    if (invalid !== undefined) {
+        throw new Error(`Valoarea „${invalid}” nu este permisă. Folosește numere întregi între ${limits.minValue} și ${limits.maxValue}.`);
+    }
+
+    if (isSortedBy(numbers, sortOrder)) {
+        throw new Error(`Vectorul este deja sortat ${sortOrder.name}. Schimbă ordinea a cel puțin două valori.`);
+    }
+}
+
+/**
+ * Interpretează textul introdus de profesor (valori separate prin virgulă)
+ * @param {string} text - Textul, de ex. `5, 3, 8, 1`
+ * @param {Object} sortOrder - Ordinea în care va fi sortat
+ * @returns {number[]} - Vectorul validat
+ * @throws {Error} - Dacă textul nu descrie un vector valid
+ */
+export function parseCustomArray(text, sortOrder = SORT_ORDERS.asc) {
+    const tokens = String(text ?? '').split(/[,;\s]+/).filter(Boolean);
+    if (tokens.length === 0) {
+        throw new Error('Introdu valorile vectorului, separate prin virgulă (ex. 5, 3, 8, 1).');
+    }
+
+    const numbers = tokens.map(token => {
+        if (!/^-?\d+$/.test(token)) {
+            throw new Error(`„${token}” nu este un număr întreg.`);
+        }
+        return Number(token);
+    });
+
+    validateCustomArray(numbers, sortOrder);
+    return numbers;
+}
+
+/**
+ * Descrie un vector dat explicit în formatul unui nivel de dificultate
+ * @param {number[]} numbers - Vectorul validat
+ * @returns {Object} - `{ key, name, minLength, maxLength, minValue, maxValue, duplicates, order }`
+ */
+export function describeCustomArray(numbers) {
+    return {
+        key: GIVEN_ARRAY_DIFFICULTY,
+        name: 'Vector propriu',
+        minLength: numbers.length,
+        maxLength: numbers.length,
+        minValue: Math.min(...numbers),
+        maxValue: Math.max(...numbers),
+        duplicates: new Set(numbers).size < numbers.length,
+        order: null
+    };
+}
+
+/**
+ * Transformă opțiunile de joc în setările concrete de generare
+ * @param {string} difficulty - Cheia nivelului ('easy', 'medium', 'hard', 'custom')
+ * @param {Object} customDifficulty - Setările pentru nivelul personalizat
+ * @returns {Object} - `{ key, name, minLength, maxLength, minValue, maxValue, duplicates, order }`
+ * @throws {Error} - Dacă nivelul personalizat nu este valid
+ */
+export function resolveDifficulty(difficulty = DEFAULT_DIFFICULTY, customDifficulty = null) {
+    if (difficulty === CUSTOM_DIFFICULTY) {
+        if (!customDifficulty) {
+            throw new Error('Lipsesc setările pentru dificultatea personalizată.');
+        }
+        validateCustomDifficulty(customDifficulty);
+
+        return {
+            key: CUSTOM_DIFFICULTY,
+            name: 'Personalizat',
+            minLength: customDifficulty.length,
+            maxLength: customDifficulty.length,
+            minValue: customDifficulty.minValue,
+            maxValue: customDifficulty.maxValue,
+            duplicates: customDifficulty.duplicates,
+            order: customDifficulty.order
+        };
+    }
+
+    return DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+}
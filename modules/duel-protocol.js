@@ -0,0 +1,66 @@
+/**
+ * duel-protocol.js - Mesajele schimbate între jucători și serverul de duel
+ *
+ * Modulul e folosit atât în browser (`duel.js`), cât și de serverul Node
+ * (`server/duel-server.js`). Mesajele sunt obiecte JSON cu un câmp `type`.
+ */
+
+/**
+ * Portul implicit al serverului de duel
+ */
+export const DEFAULT_DUEL_PORT = 8787;
+
+/**
+ * Tipurile de mesaje
+ */
+export const DUEL_MESSAGES = {
+    // Client → server
+    JOIN: 'join',                       // { room, name, puzzle } - intră într-o cameră
+    PROGRESS: 'progress',               // { completed, total, percentage, mistakes, finished }
+
+    // Server → client
+    WAITING: 'waiting',                 // { room } - camera așteaptă al doilea jucător
+    START: 'start',                     // { puzzle, opponent } - duelul începe
+    OPPONENT_PROGRESS: 'opponent-progress', // progresul adversarului (ca la PROGRESS)
+    RESULT: 'result',                   // { winner, won } - primul jucător care a terminat
+    OPPONENT_LEFT: 'opponent-left',     // adversarul s-a deconectat
+    ERROR: 'error'                      // { message }
+};
+
+/**
+ * Lungimea maximă a codului unei camere
+ */
+const MAX_ROOM_LENGTH = 12;
+
+/**
+ * Verifică și normalizează codul unei camere
+ * @param {string} room - Codul introdus (ex. "clasa 9b")
+ * @returns {string} - Codul cu majuscule, fără spații (ex. "CLASA9B")
+ * @throws {Error} - Dacă codul e gol sau conține alte caractere decât litere și cifre
+ */
+export function normalizeRoomCode(room) {
+    const code = String(room ?? '').replace(/\s+/g, '').toUpperCase();
+
+    if (!code) {
+        throw new Error('Introdu codul camerei (ex. CLASA9B).');
+    }
+    if (!/^[A-Z0-9]+$/.test(code) || code.length > MAX_ROOM_LENGTH) {
+        throw new Error(`Codul camerei poate avea cel mult ${MAX_ROOM_LENGTH} litere și cifre.`);
+    }
+
+    return code;
+}
+
+/**
+ * Citește un mesaj primit
+ * @param {string} data - Textul mesajului
+ * @returns {Object|null} - Mesajul sau null dacă nu e un obiect JSON cu `type`
+ */
+export function parseDuelMessage(data) {
+    try {
+        const message = JSON.parse(data);
+        return message && typeof message.type === 'string' ? message : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * duel.js - Clientul duelului în rețea
+ *
+ * Se conectează la serverul de duel (`server/duel-server.js`), trimite puzzle-ul
+ * ales de jucător, primește puzzle-ul comun când sosește adversarul și apoi
+ * schimbă cu acesta progresul după fiecare mutare.
+ */
+
+import { GAME_STATES } from './game-engine.js';
+import { generateSeed } from './random.js';
+import { DEFAULT_DUEL_PORT, DUEL_MESSAGES, parseDuelMessage } from './duel-protocol.js';
+
+/**
+ * Adresa implicită a serverului: serverul care a servit pagina sau, pentru
+ * o pagină deschisă direct din fișier, serverul local
+ * @param {Location} location - Adresa paginii
+ * @returns {string} - Adresa WebSocket (ex. "ws://192.168.1.10:8787")
+ */
+export function getDefaultDuelUrl(location = window.location) {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+    }
+    return `ws://localhost:${DEFAULT_DUEL_PORT}`;
+}
+
+/**
+ * Construiește puzzle-ul propus de jucătorul care deschide camera
+ * @param {string|null} algorithmKey - Algoritmul (null = ales la întâmplare, dar la fel pentru ambii)
+ * @param {Object} options - Opțiunile jocului (vezi `GameEngine.startNewGame`)
+ * @returns {Object} - `{ algorithmKey, options }`, cu un seed nou
+ */
+export function createDuelPuzzle(algorithmKey, options) {
+    return {
+        algorithmKey,
+        // Duelul se joacă de unul singur pe fiecare calculator
+        options: { ...options, players: null, seed: generateSeed() }
+    };
+}
+
+/**
+ * Conexiunea unui jucător la un duel
+ */
+export class DuelClient {
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onWaiting - `({ room })`, camera așteaptă adversarul
+     * @param {Function} callbacks.onStart - `({ puzzle, opponent })`, duelul începe
+     * @param {Function} callbacks.onOpponentProgress - `(progress)`, adversarul a mutat
+     * @param {Function} callbacks.onResult - `({ winner, won })`, cineva a terminat primul
+     * @param {Function} callbacks.onOpponentLeft - Adversarul s-a deconectat
+     * @param {Function} callbacks.onError - `(message)`, serverul a refuzat o cerere
+     * @param {Function} callbacks.onClose - Conexiunea s-a închis fără `close()`
+     */
+    constructor({
+        onWaiting = () => {},
+        onStart = () => {},
+        onOpponentProgress = () => {},
+        onResult = () => {},
+        onOpponentLeft = () => {},
+        onError = () => {},
+        onClose = () => {}
+    } = {}) {
+        this.callbacks = { onWaiting, onStart, onOpponentProgress, onResult, onOpponentLeft, onError, onClose };
+        this.socket = null;
+        this.puzzle = null;
+        this.opponent = null;
+        this.result = null;
+    }
+
+    /**
+     * Se conectează la server și intră în cameră
+     * @param {string} url - Adresa serverului (ex. "ws://localhost:8787")
+     * @param {Object} join - `{ room, name, puzzle }`
+     * @throws {Error} - Dacă adresa serverului nu este validă
+     */
+    connect(url, { room, name, puzzle }) {
+        try {
+            this.socket = new WebSocket(url);
+        } catch (error) {
+            throw new Error(`Adresa serverului nu este validă: ${url}`);
+        }
+
+        this.socket.addEventListener('open', () => {
+            this.send({ type: DUEL_MESSAGES.JOIN, room, name, puzzle });
+        });
+        this.socket.addEventListener('message', (event) => this.handleMessage(parseDuelMessage(event.data)));
+        this.socket.addEventListener('close', () => {
+            // O închidere cerută de jucător nu mai e anunțată
+            if (this.socket) {
+                this.socket = null;
+                this.callbacks.onClose();
+            }
+        });
+    }
+
+    /**
+     * Verifică dacă duelul a început (ambii jucători au primit puzzle-ul)
+     * @returns {boolean}
+     */
+    isStarted() {
+        return this.puzzle !== null;
+    }
+
+    /**
+     * Tratează un mesaj de la server
+     * @param {Object|null} message - Mesajul citit
+     */
+    handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case DUEL_MESSAGES.WAITING:
+                this.callbacks.onWaiting({ room: message.room });
+                break;
+
+            case DUEL_MESSAGES.START:
+                this.puzzle = message.puzzle;
+                this.opponent = message.opponent;
+                this.callbacks.onStart({ puzzle: message.puzzle, opponent: message.opponent });
+                break;
+
+            case DUEL_MESSAGES.OPPONENT_PROGRESS: {
+                const { type, ...progress } = message;
+                this.callbacks.onOpponentProgress(progress);
+                break;
+            }
+
+            case DUEL_MESSAGES.RESULT:
+                this.result = { winner: message.winner, won: message.won };
+                this.callbacks.onResult(this.result);
+                break;
+
+            case DUEL_MESSAGES.OPPONENT_LEFT:
+                this.callbacks.onOpponentLeft();
+                break;
+
+            case DUEL_MESSAGES.ERROR:
+                this.callbacks.onError(message.message);
+                break;
+        }
+    }
+
+    /**
+     * Trimite progresul jocului propriu adversarului
+     * @param {GameEngine} engine - Motorul jocului din duel
+     */
+    sendProgress(engine) {
+        if (!this.isStarted()) return;
+
+        const { completed, total, percentage } = engine.getProgress();
+        this.send({
+            type: DUEL_MESSAGES.PROGRESS,
+            completed,
+            total,
+            percentage,
+            mistakes: engine.getStats().incorrectMoves,
+            finished: engine.state === GAME_STATES.COMPLETED
+        });
+    }
+
+    /**
+     * Trimite un mesaj, dacă conexiunea e deschisă
+     * @param {Object} message - Mesajul
+     */
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Părăsește duelul
+     */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+    }
+}
@@ -10,11 +10,29 @@
 
 import {
     ALGORITHMS,
+    PARTITION_SCHEMES,
+    ROWS,
+    STEP_TYPES,
+    isTransferStep,
+    isSkipStep,
     generateStepsForAlgorithm,
     validateMove,
     getErrorMessage,
-    getNextMoveHint
+    getNextMoveHint,
+    formatPseudocode,
+    formatOrderText
 } from './algorithms.js';
+import { createRandom, generateSeed, randomInt } from './random.js';
+import { encodePuzzleCode } from './puzzle-code.js';
+import { compareAlgorithms, countOperations, measureGrowth, worstCaseComparisons } from './complexity.js';
+import { SORT_ORDERS, isSortedBy, resolveSortOrder } from './sort-order.js';
+import {
+    INPUT_ORDERS,
+    describeCustomArray,
+    resolveDifficulty,
+    validateCustomArray
+} from './difficulty.js';
+import { createPlayer, rankPlayers, validatePlayerNames } from './hot-seat.js';
 
 /**
  * Stările posibile ale jocului
@@ -23,7 +41,22 @@ export const GAME_STATES = {
     IDLE: 'idle',           // Jocul nu a început
     PLAYING: 'playing',     // Jocul este în desfășurare
     COMPLETED: 'completed', // Jocul s-a terminat cu succes
-    PAUSED: 'paused'        // Jocul este în pauză
+    PAUSED: 'paused',       // Jocul este în pauză
+    STOPPED: 'stopped'      // Jocul a fost oprit înainte de final (ex. a expirat timpul unei teme)
+};
+
+/**
+ * Tipurile de evenimente din jurnalul unui joc
+ */
+export const LOG_EVENTS = {
+    SELECT: 'select',       // Jucătorul a selectat un element
+    DESELECT: 'deselect',   // Jucătorul a anulat selecția
+    MOVE: 'move',           // Încercare de schimbare/copiere/scriere
+    SKIP: 'skip',           // Încercare de confirmare „Nicio schimbare”
+    UNDO: 'undo',
+    REDO: 'redo',
+    PAUSE: 'pause',
+    RESUME: 'resume'
 };
 
 /**
@@ -31,6 +64,7 @@ export const GAME_STATES = {
  */
 export class GameEngine {
     constructor() {
+        this.random = createRandom(generateSeed());
         this.reset();
     }
 
@@ -40,49 +74,95 @@ export class GameEngine {
     reset() {
         this.state = GAME_STATES.IDLE;
         this.numbers = [];
+        this.buffer = [];
+        this.ids = [];
+        this.bufferIds = [];
+        this.tagsById = [];
         this.originalNumbers = [];
         this.currentAlgorithm = null;
+        this.options = {};
+        this.seed = null;
+        this.difficulty = null;
+        this.sortOrder = SORT_ORDERS.asc;
         this.stepQueue = [];
         this.currentStepIndex = 0;
+        this.hintStepIndex = null;
         this.selectedIndex = null;
+        this.selectedRow = ROWS.MAIN;
+        this.history = [];
+        this.redoStack = [];
+        this.moveLog = [];
+        this.players = [];
+        this.currentPlayerIndex = 0;
+        this.turnStartedAt = 0;
         this.stats = {
             totalMoves: 0,
             correctMoves: 0,
             incorrectMoves: 0,
+            undos: 0,
+            hintsUsed: 0,           // Pașii pentru care jucătorul a văzut indicația
             startTime: null,
-            endTime: null
+            endTime: null,
+            pausedTime: 0,
+            pauseStartedAt: null
         };
     }
 
     /**
-     * Generează numere aleatorii unice
-     * @param {number} count - Numărul de elemente (5-7)
-     * @param {number} min - Valoare minimă
-     * @param {number} max - Valoare maximă
-     * @returns {number[]} - Array de numere unice
+     * Generează numere aleatorii conform nivelului de dificultate
+     *
+     * „Sortat invers” și „aproape sortat” se raportează la ordinea de sortare a jocului.
+     * @param {Object} settings - Setările nivelului (vezi resolveDifficulty)
+     * @returns {number[]} - Array nesortat
      */
-    generateRandomNumbers(count = null, min = 1, max = 20) {
-        // Dacă nu e specificat, generează între 5 și 7 elemente
-        const numCount = count || Math.floor(Math.random() * 3) + 5;
-        const numbers = new Set();
+    generateRandomNumbers(settings = resolveDifficulty()) {
+        const { minLength, maxLength, minValue, maxValue, duplicates, order } = settings;
+        const { compare } = this.sortOrder;
+        const numCount = randomInt(this.random, minLength, maxLength);
+        let arr;
 
-        while (numbers.size < numCount) {
-            numbers.add(Math.floor(Math.random() * (max - min + 1)) + min);
-        }
+        do {
+            if (duplicates) {
+                arr = Array.from({ length: numCount }, () => randomInt(this.random, minValue, maxValue));
+            } else {
+                const numbers = new Set();
+                while (numbers.size < numCount) {
+                    numbers.add(randomInt(this.random, minValue, maxValue));
+                }
+                arr = Array.from(numbers);
+            }
+        // Un vector cu toate valorile egale nu poate fi nesortat
+        } while (arr.every(val => val === arr[0]));
 
-        const arr = Array.from(numbers);
+        switch (order) {
+            case INPUT_ORDERS.REVERSED:
+                arr.sort((a, b) => compare(b, a));
+                break;
+
+            case INPUT_ORDERS.NEARLY_SORTED: {
+                // Pornește de la vectorul sortat și strică ordinea câtorva perechi vecine
+                arr.sort(compare);
+                const swaps = Math.max(1, Math.floor(arr.length / 4));
+                for (let k = 0; k < swaps; k++) {
+                    const i = randomInt(this.random, 0, arr.length - 2);
+                    [arr[i], arr[i + 1]] = [arr[i + 1], arr[i]];
+                }
+                break;
+            }
 
-        // Amestecă array-ul
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
+            default:
+                // Amestecă array-ul
+                for (let i = arr.length - 1; i > 0; i--) {
+                    const j = randomInt(this.random, 0, i);
+                    [arr[i], arr[j]] = [arr[j], arr[i]];
+                }
         }
 
         // Verifică că nu e deja sortat
-        const isSorted = arr.every((val, idx) => idx === 0 || val >= arr[idx - 1]);
-        if (isSorted) {
-            // Dacă e sortat, amestecă primele două elemente
-            [arr[0], arr[1]] = [arr[1], arr[0]];
+        if (isSortedBy(arr, this.sortOrder)) {
+            // Dacă e sortat, schimbă prima pereche vecină de valori diferite
+            const i = arr.findIndex((val, idx) => val !== arr[idx + 1]);
+            [arr[i], arr[i + 1]] = [arr[i + 1], arr[i]];
         }
 
         return arr;
@@ -94,33 +174,104 @@ export class GameEngine {
      */
     selectRandomAlgorithm() {
         const keys = Object.keys(ALGORITHMS);
-        const randomKey = keys[Math.floor(Math.random() * keys.length)];
+        const randomKey = keys[randomInt(this.random, 0, keys.length - 1)];
         return ALGORITHMS[randomKey];
     }
 
+    /**
+     * Returnează varianta de algoritm folosită efectiv în joc
+     * @param {Object} algorithm - Obiectul algoritmului
+     * @param {Object} options - Opțiunile jocului
+     * @returns {Object} - Algoritmul, cu regulile și pseudocodul variantei alese
+     */
+    resolveAlgorithmVariant(algorithm, options) {
+        let variant = algorithm;
+
+        if (algorithm.key === 'quick' && options.partitionScheme === PARTITION_SCHEMES.HOARE) {
+            variant = {
+                ...variant,
+                name: `${variant.name} (Hoare)`,
+                rules: variant.hoareRules,
+                pseudocode: variant.hoarePseudocode
+            };
+        }
+
+        // Descrierea, regulile și pseudocodul urmează ordinea de sortare
+        const sortOrder = resolveSortOrder(options);
+        variant = {
+            ...variant,
+            description: formatOrderText(variant.description, sortOrder),
+            rules: variant.rules.map(rule => formatOrderText(rule, sortOrder)),
+            pseudocode: formatPseudocode(variant.pseudocode, sortOrder)
+        };
+
+        if (sortOrder !== SORT_ORDERS.asc) {
+            variant = { ...variant, name: `${variant.name} (${sortOrder.name})` };
+        }
+
+        return variant;
+    }
+
     /**
      * Inițializează un joc nou
      * @param {string} algorithmKey - Cheia algoritmului (opțional, altfel aleatoriu)
+     * @param {Object} options - Opțiuni de joc (ex. `partitionScheme` pentru Quick Sort,
+     *                           `seed` pentru un puzzle reproductibil, `difficulty` și
+     *                           `customDifficulty` pentru dimensiunea și forma vectorului,
+     *                           `numbers` pentru un vector dat explicit,
+     *                           `direction` sau `sortOrder` pentru ordinea de sortare,
+     *                           `players` cu numele jucătorilor care mută pe rând)
      * @returns {Object} - Informații despre jocul nou
+     * @throws {Error} - Dacă vectorul dat, dificultatea sau jucătorii nu sunt valide
      */
-    startNewGame(algorithmKey = null) {
+    startNewGame(algorithmKey = null, options = {}) {
         this.reset();
+        this.options = { ...options };
+        this.sortOrder = resolveSortOrder(options);
 
-        // Selectează algoritmul
-        if (algorithmKey && ALGORITHMS[algorithmKey]) {
-            this.currentAlgorithm = ALGORITHMS[algorithmKey];
+        if (options.players) {
+            validatePlayerNames(options.players);
+            this.players = options.players.map(createPlayer);
+        }
+
+        const givenNumbers = Array.isArray(options.numbers) ? options.numbers : null;
+        if (givenNumbers) {
+            validateCustomArray(givenNumbers, this.sortOrder);
+            this.difficulty = describeCustomArray(givenNumbers);
         } else {
-            this.currentAlgorithm = this.selectRandomAlgorithm();
+            this.difficulty = resolveDifficulty(options.difficulty, options.customDifficulty);
         }
 
-        // Generează numere aleatorii
-        this.numbers = this.generateRandomNumbers();
+        // Același seed produce același algoritm și același vector
+        this.seed = Number.isInteger(options.seed) ? options.seed >>> 0 : generateSeed();
+        this.random = createRandom(this.seed);
+
+        // Generează numere aleatorii (înaintea algoritmului, ca vectorul să nu
+        // depindă de faptul că algoritmul a fost ales sau tras la sorți)
+        this.numbers = givenNumbers ? [...givenNumbers] : this.generateRandomNumbers(this.difficulty);
         this.originalNumbers = [...this.numbers];
 
+        // Selectează algoritmul
+        const algorithm = algorithmKey && ALGORITHMS[algorithmKey]
+            ? ALGORITHMS[algorithmKey]
+            : this.selectRandomAlgorithm();
+        this.currentAlgorithm = this.resolveAlgorithmVariant(algorithm, this.options);
+
+        // Bufferul auxiliar pornește gol
+        this.buffer = this.currentAlgorithm.usesBuffer
+            ? new Array(this.numbers.length).fill(null)
+            : [];
+
+        // Fiecare element primește o identitate stabilă (poziția inițială)
+        this.ids = this.numbers.map((_, index) => index);
+        this.bufferIds = this.buffer.map(() => null);
+        this.tagsById = this.createTags(this.numbers);
+
         // Generează coada de pași
         this.stepQueue = generateStepsForAlgorithm(
             this.currentAlgorithm.key,
-            [...this.numbers]
+            [...this.numbers],
+            this.options
         );
         this.currentStepIndex = 0;
 
@@ -130,40 +281,72 @@ export class GameEngine {
 
         return {
             numbers: this.numbers,
+            buffer: this.buffer,
+            tags: this.getTags(),
             algorithm: this.currentAlgorithm,
+            difficulty: this.difficulty,
             totalSteps: this.stepQueue.length,
-            firstHint: this.getNextMoveHint()
+            firstHint: this.getNextMoveHint(),
+            puzzleCode: this.getPuzzleCode()
         };
     }
 
+    /**
+     * Anulează selecția curentă
+     */
+    clearSelection() {
+        this.selectedIndex = null;
+        this.selectedRow = ROWS.MAIN;
+    }
+
     /**
      * Selectează/Deselectează un element
      * @param {number} index - Indexul elementului selectat
+     * @param {string} row - Rândul elementului ('main' sau 'buffer')
      * @returns {Object} - Rezultatul selecției
      */
-    selectElement(index) {
+    selectElement(index, row = ROWS.MAIN) {
+        if (this.state === GAME_STATES.PAUSED) {
+            return { success: false, message: 'Jocul este în pauză!' };
+        }
+
         if (this.state !== GAME_STATES.PLAYING) {
             return { success: false, message: 'Jocul nu este activ!' };
         }
 
-        if (index < 0 || index >= this.numbers.length) {
+        const values = row === ROWS.BUFFER ? this.buffer : this.numbers;
+        if (index < 0 || index >= values.length) {
             return { success: false, message: 'Index invalid!' };
         }
 
         // Dacă nu e nimic selectat, selectează elementul
         if (this.selectedIndex === null) {
             this.selectedIndex = index;
+            this.selectedRow = row;
+            this.logEvent(LOG_EVENTS.SELECT, { index, row });
+
+            let message = `Selectat ${this.numbers[index]}. Alege alt element pentru schimbare.`;
+            if (row === ROWS.BUFFER) {
+                message = values[index] === null
+                    ? `Selectată poziția goală ${index} din buffer. Alege elementul de copiat.`
+                    : `Selectat ${values[index]} din buffer. Alege poziția din vector unde îl scrii.`;
+            } else if (this.currentAlgorithm?.usesBuffer) {
+                message = `Selectat ${this.numbers[index]}. Alege poziția din buffer sau un element de schimbat.`;
+            }
+
             return {
                 success: true,
                 action: 'selected',
                 selectedIndex: index,
-                message: `Selectat ${this.numbers[index]}. Alege alt element pentru schimbare.`
+                selectedRow: row,
+                message
             };
         }
 
         // Dacă e același element, deselectează
-        if (this.selectedIndex === index) {
-            this.selectedIndex = null;
+        if (this.selectedIndex === index && this.selectedRow === row) {
+            this.clearSelection();
+            this.logEvent(LOG_EVENTS.DESELECT, { index, row });
             return {
                 success: true,
                 action: 'deselected',
@@ -171,21 +354,138 @@ export class GameEngine {
             };
         }
 
-        // Altfel, încearcă să facă swap
+        // Altfel, încearcă să facă mutarea
         const firstIndex = this.selectedIndex;
-        const secondIndex = index;
-        this.selectedIndex = null;
+        const firstRow = this.selectedRow;
+        this.clearSelection();
+
+        return this.attemptSwap(firstIndex, index, firstRow, row);
+    }
+
+    /**
+     * Aplică un pas din coadă asupra vectorului și bufferului
+     * @param {Object} step - Pasul de aplicat
+     */
+    applyStep(step) {
+        switch (step.type) {
+            case STEP_TYPES.COPY:
+                this.buffer[step.target.index] = this.numbers[step.source.index];
+                this.bufferIds[step.target.index] = this.ids[step.source.index];
+                break;
+            case STEP_TYPES.WRITE:
+                this.numbers[step.target.index] = this.buffer[step.source.index];
+                this.ids[step.target.index] = this.bufferIds[step.source.index];
+                this.buffer[step.source.index] = null;
+                this.bufferIds[step.source.index] = null;
+                break;
+            default: {
+                const [idx1, idx2] = step.indices;
+                [this.numbers[idx1], this.numbers[idx2]] =
+                    [this.numbers[idx2], this.numbers[idx1]];
+                [this.ids[idx1], this.ids[idx2]] = [this.ids[idx2], this.ids[idx1]];
+            }
+        }
+    }
+
+    /**
+     * Creează etichetele elementelor cu valori repetate
+     *
+     * Aparițiile unei valori primesc litere în ordinea inițială (a, b, c...),
+     * astfel încât jucătorul poate urmări dacă ordinea lor relativă se păstrează.
+     * @param {number[]} numbers - Vectorul inițial
+     * @returns {Array<Object|null>} - Eticheta fiecărui element, după identitate
+     */
+    createTags(numbers) {
+        const counts = new Map();
+        numbers.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+        const seen = new Map();
+        return numbers.map(value => {
+            if (counts.get(value) < 2) return null;
+
+            const occurrence = seen.get(value) || 0;
+            seen.set(value, occurrence + 1);
+            return { label: String.fromCharCode(97 + occurrence), occurrence };
+        });
+    }
+
+    /**
+     * Obține etichetele elementelor de pe fiecare poziție a unui rând
+     * @param {string} row - Rândul ('main' sau 'buffer')
+     * @returns {Array<Object|null>}
+     */
+    getTags(row = ROWS.MAIN) {
+        const ids = row === ROWS.BUFFER ? this.bufferIds : this.ids;
+        return ids.map(id => (id === null ? null : this.tagsById[id]));
+    }
+
+    /**
+     * Verifică dacă elementele egale și-au păstrat ordinea relativă
+     * @returns {Object} - `{ hasDuplicates, stable, inversions }`
+     */
+    getStabilityReport() {
+        const hasDuplicates = this.tagsById.some(Boolean);
+        const inversions = [];
+
+        for (let i = 0; i < this.numbers.length; i++) {
+            for (let j = i + 1; j < this.numbers.length; j++) {
+                if (this.numbers[i] === this.numbers[j] && this.ids[i] > this.ids[j]) {
+                    inversions.push({
+                        value: this.numbers[i],
+                        first: this.tagsById[this.ids[i]].label,
+                        second: this.tagsById[this.ids[j]].label
+                    });
+                }
+            }
+        }
+
+        return {
+            hasDuplicates,
+            stable: inversions.length === 0,
+            inversions
+        };
+    }
 
-        return this.attemptSwap(firstIndex, secondIndex);
+    /**
+     * Compară operațiile algoritmului pe vectorul jocului cu n(n-1)/2 și cu ceilalți algoritmi
+     * @returns {Object} - `{ algorithmKey, n, worstCase, counts, algorithms, growth }`
+     *                     (vezi complexity.js pentru formatul numărătorilor)
+     */
+    getComplexityReport() {
+        const options = { partitionScheme: this.options.partitionScheme, sortOrder: this.sortOrder };
+        const n = this.originalNumbers.length;
+
+        return {
+            algorithmKey: this.currentAlgorithm.key,
+            n,
+            worstCase: worstCaseComparisons(n),
+            counts: countOperations(this.currentAlgorithm.key, this.originalNumbers, options),
+            algorithms: compareAlgorithms(this.originalNumbers, options),
+            growth: measureGrowth(options)
+        };
+    }
+
+    /**
+     * Returnează rândurile celor doi indici ai unui pas
+     * @param {Object} step - Pasul
+     * @returns {string[]}
+     */
+    getStepRows(step) {
+        return isTransferStep(step)
+            ? [step.source.row, step.target.row]
+            : [ROWS.MAIN, ROWS.MAIN];
     }
 
     /**
-     * Încearcă să execute o schimbare
+     * Încearcă să execute o mutare: o schimbare în vector sau, pentru
+     * algoritmii cu buffer, o copiere/scriere între vector și buffer
      * @param {number} index1 - Primul index
      * @param {number} index2 - Al doilea index
+     * @param {string} row1 - Rândul primului element
+     * @param {string} row2 - Rândul celui de-al doilea element
      * @returns {Object} - Rezultatul încercării
      */
-    attemptSwap(index1, index2) {
+    attemptSwap(index1, index2, row1 = ROWS.MAIN, row2 = ROWS.MAIN) {
         if (this.state !== GAME_STATES.PLAYING) {
             return {
                 success: false,
@@ -218,13 +518,21 @@ export class GameEngine {
         }
 
         // Validează mutarea
-        const isCorrect = validateMove(expectedStep, index1, index2);
+        const isCorrect = validateMove(expectedStep, index1, index2, row1, row2);
+
+        this.logEvent(LOG_EVENTS.MOVE, {
+            indices: [index1, index2],
+            rows: [row1, row2],
+            correct: isCorrect,
+            expected: this.describeStep(expectedStep)
+        });
+        const turn = this.endTurn(isCorrect);
 
         if (isCorrect) {
-            // Mutare corectă - execută swap-ul
+            // Mutare corectă - execută pasul
             this.stats.correctMoves++;
-            [this.numbers[index1], this.numbers[index2]] =
-                [this.numbers[index2], this.numbers[index1]];
+            this.recordHistory();
+            this.applyStep(expectedStep);
 
             this.currentStepIndex++;
 
@@ -238,10 +546,14 @@ export class GameEngine {
                 success: true,
                 correct: true,
                 completed: isComplete,
+                type: expectedStep.type,
+                step: expectedStep,
                 indices: [index1, index2],
+                rows: [row1, row2],
                 message: 'Corect! Continuă.',
                 nextHint: this.getNextMoveHint(),
-                progress: this.getProgress()
+                progress: this.getProgress(),
+                turn
             };
         } else {
             // Mutare greșită
@@ -250,18 +562,333 @@ export class GameEngine {
                 this.currentAlgorithm.key,
                 expectedStep,
                 index1,
-                index2
+                index2,
+                this.numbers,
+                this.sortOrder
             );
 
             return {
                 success: false,
                 correct: false,
                 indices: [index1, index2],
+                rows: [row1, row2],
                 expectedIndices: expectedStep.indices,
+                expectedRows: this.getStepRows(expectedStep),
                 message: errorMessage,
-                hint: this.getNextMoveHint()
+                hint: this.getNextMoveHint(),
+                turn
+            };
+        }
+    }
+
+    /**
+     * Confirmă că pasul curent nu necesită nicio schimbare (modul strict)
+     * @returns {Object} - Rezultatul încercării
+     */
+    confirmNoSwap() {
+        if (this.state !== GAME_STATES.PLAYING) {
+            return {
+                success: false,
+                correct: false,
+                message: 'Jocul nu este activ!'
+            };
+        }
+
+        this.clearSelection();
+        this.stats.totalMoves++;
+
+        const expectedStep = this.stepQueue[this.currentStepIndex];
+
+        if (!expectedStep) {
+            return {
+                success: false,
+                correct: false,
+                message: 'Nu mai sunt pași de confirmat. Verifică soluția!'
+            };
+        }
+
+        this.logEvent(LOG_EVENTS.SKIP, {
+            correct: isSkipStep(expectedStep),
+            expected: this.describeStep(expectedStep)
+        });
+        const turn = this.endTurn(isSkipStep(expectedStep));
+
+        if (isSkipStep(expectedStep)) {
+            // Confirmare corectă - pasul nu modifică vectorul
+            this.stats.correctMoves++;
+            this.recordHistory();
+            this.currentStepIndex++;
+
+            const isComplete = this.currentStepIndex >= this.stepQueue.length;
+            if (isComplete) {
+                this.completeGame();
+            }
+
+            return {
+                success: true,
+                correct: true,
+                completed: isComplete,
+                type: expectedStep.type,
+                step: expectedStep,
+                indices: expectedStep.indices,
+                message: 'Corect! Continuă.',
+                nextHint: this.getNextMoveHint(),
+                progress: this.getProgress(),
+                turn
             };
         }
+
+        // Pasul necesita o mutare
+        this.stats.incorrectMoves++;
+        const errorMessage = getErrorMessage(
+            this.currentAlgorithm.key,
+            expectedStep,
+            null,
+            null,
+            this.numbers,
+            this.sortOrder
+        );
+
+        return {
+            success: false,
+            correct: false,
+            indices: [],
+            rows: [],
+            expectedIndices: expectedStep.indices,
+            expectedRows: this.getStepRows(expectedStep),
+            message: errorMessage,
+            hint: this.getNextMoveHint(),
+            turn
+        };
+    }
+
+    /**
+     * Verifică dacă jucătorii mută pe rând (modul cu mai mulți jucători)
+     * @returns {boolean}
+     */
+    isHotSeat() {
+        return this.players.length > 0;
+    }
+
+    /**
+     * Obține jucătorul care este la rând
+     * @returns {Object|null} - `{ name, stats }` sau null într-un joc cu un singur jucător
+     */
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex] ?? null;
+    }
+
+    /**
+     * Trece mutarea în statisticile jucătorului de la rând și dă rândul următorului
+     * @param {boolean} correct - Dacă mutarea a fost corectă
+     * @returns {Object|null} - `{ player, nextPlayer }` (numele) sau null într-un joc
+     *                          cu un singur jucător
+     */
+    endTurn(correct) {
+        const player = this.getCurrentPlayer();
+        if (!player) return null;
+
+        const elapsed = this.getElapsedTime();
+        player.stats.totalMoves++;
+        if (correct) {
+            player.stats.correctMoves++;
+        } else {
+            player.stats.incorrectMoves++;
+        }
+        player.stats.time += elapsed - this.turnStartedAt;
+
+        this.turnStartedAt = elapsed;
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+
+        return { player: player.name, nextPlayer: this.getCurrentPlayer().name };
+    }
+
+    /**
+     * Obține clasamentul jucătorilor
+     * @returns {Object[]|null} - Rezultatele din `rankPlayers()` sau null într-un joc
+     *                            cu un singur jucător
+     */
+    getPlayersReport() {
+        return this.isHotSeat() ? rankPlayers(this.players) : null;
+    }
+
+    /**
+     * Creează o copie a stării care se poate anula
+     * @returns {Object}
+     */
+    createSnapshot() {
+        return {
+            numbers: [...this.numbers],
+            buffer: [...this.buffer],
+            ids: [...this.ids],
+            bufferIds: [...this.bufferIds],
+            currentStepIndex: this.currentStepIndex
+        };
+    }
+
+    /**
+     * Restaurează o stare salvată cu createSnapshot()
+     * @param {Object} snapshot - Starea salvată
+     */
+    restoreSnapshot(snapshot) {
+        this.numbers = [...snapshot.numbers];
+        this.buffer = [...snapshot.buffer];
+        this.ids = [...snapshot.ids];
+        this.bufferIds = [...snapshot.bufferIds];
+        this.currentStepIndex = snapshot.currentStepIndex;
+        this.clearSelection();
+    }
+
+    /**
+     * Salvează starea dinaintea unei mutări corecte
+     */
+    recordHistory() {
+        this.history.push(this.createSnapshot());
+        this.redoStack = [];
+    }
+
+    /**
+     * Verifică dacă ultima mutare corectă poate fi anulată
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.state === GAME_STATES.PLAYING && !this.isHotSeat() && this.history.length > 0;
+    }
+
+    /**
+     * Verifică dacă o mutare anulată poate fi refăcută
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.state === GAME_STATES.PLAYING && !this.isHotSeat() && this.redoStack.length > 0;
+    }
+
+    /**
+     * Anulează ultima mutare corectă
+     *
+     * Mutarea anulată nu mai e numărată drept corectă, iar anularea
+     * intră în calculul eficienței. Când jucătorii mută pe rând, mutările
+     * nu se pot anula, pentru că ar schimba scorul adversarului.
+     * @returns {Object} - Rezultatul anulării
+     */
+    undo() {
+        if (this.isHotSeat()) {
+            return { success: false, message: 'Când jucați pe rând, mutările nu se pot anula.' };
+        }
+        if (!this.canUndo()) {
+            return { success: false, message: 'Nu există nicio mutare de anulat!' };
+        }
+
+        this.redoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.history.pop());
+        this.stats.correctMoves--;
+        this.stats.undos++;
+        this.logEvent(LOG_EVENTS.UNDO);
+
+        return {
+            success: true,
+            message: 'Mutare anulată.',
+            nextHint: this.getNextMoveHint(),
+            progress: this.getProgress()
+        };
+    }
+
+    /**
+     * Reface ultima mutare anulată
+     * @returns {Object} - Rezultatul refacerii
+     */
+    redo() {
+        if (this.isHotSeat()) {
+            return { success: false, message: 'Când jucați pe rând, mutările nu se pot reface.' };
+        }
+        if (!this.canRedo()) {
+            return { success: false, message: 'Nu există nicio mutare de refăcut!' };
+        }
+
+        this.history.push(this.createSnapshot());
+        this.restoreSnapshot(this.redoStack.pop());
+        this.stats.correctMoves++;
+        this.logEvent(LOG_EVENTS.REDO);
+
+        return {
+            success: true,
+            message: 'Mutare refăcută.',
+            nextHint: this.getNextMoveHint(),
+            progress: this.getProgress()
+        };
+    }
+
+    /**
+     * Pune jocul în pauză; timpul de pauză nu intră în durată
+     * @returns {Object} - Rezultatul operației
+     */
+    pause() {
+        if (this.state !== GAME_STATES.PLAYING) {
+            return { success: false, message: 'Nu există niciun joc activ de pus pe pauză!' };
+        }
+
+        this.state = GAME_STATES.PAUSED;
+        this.stats.pauseStartedAt = Date.now();
+        this.clearSelection();
+        this.logEvent(LOG_EVENTS.PAUSE);
+
+        return { success: true, message: 'Joc în pauză.' };
+    }
+
+    /**
+     * Reia jocul după pauză
+     * @returns {Object} - Rezultatul operației
+     */
+    resume() {
+        if (this.state !== GAME_STATES.PAUSED) {
+            return { success: false, message: 'Jocul nu este în pauză!' };
+        }
+
+        this.stats.pausedTime += Date.now() - this.stats.pauseStartedAt;
+        this.stats.pauseStartedAt = null;
+        this.state = GAME_STATES.PLAYING;
+        this.logEvent(LOG_EVENTS.RESUME);
+
+        return { success: true, message: 'Joc reluat.' };
+    }
+
+    /**
+     * Verifică dacă jocul este în pauză
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.state === GAME_STATES.PAUSED;
+    }
+
+    /**
+     * Oprește jocul înainte ca vectorul să fie sortat
+     * @returns {Object} - Rezultatul operației
+     */
+    stop() {
+        if (this.state !== GAME_STATES.PLAYING && this.state !== GAME_STATES.PAUSED) {
+            return { success: false, message: 'Nu există niciun joc activ de oprit!' };
+        }
+
+        if (this.state === GAME_STATES.PAUSED) {
+            this.stats.pausedTime += Date.now() - this.stats.pauseStartedAt;
+            this.stats.pauseStartedAt = null;
+        }
+
+        this.state = GAME_STATES.STOPPED;
+        this.stats.endTime = Date.now();
+        this.clearSelection();
+
+        return { success: true, message: 'Joc oprit.' };
+    }
+
+    /**
+     * Notează că jucătorul a văzut indicația pasului curent (o dată pe pas)
+     */
+    recordHint() {
+        if (this.state !== GAME_STATES.PLAYING || this.hintStepIndex === this.currentStepIndex) return;
+
+        this.hintStepIndex = this.currentStepIndex;
+        this.stats.hintsUsed++;
     }
 
     /**
@@ -274,12 +901,21 @@ export class GameEngine {
 
     /**
      * Verifică dacă array-ul este sortat
+     *
+     * În timpul interclasării vectorul poate părea sortat cât timp valori din
+     * buffer așteaptă să fie scrise înapoi, deci se cer și bufferul gol și
+     * aceleași valori ca la început.
      * @returns {boolean}
      */
     isSorted() {
-        return this.numbers.every((val, idx) =>
-            idx === 0 || val >= this.numbers[idx - 1]
-        );
+        if (this.buffer.some(value => value !== null)) return false;
+
+        const byValue = (a, b) => a - b;
+        const original = [...this.originalNumbers].sort(byValue);
+        const current = [...this.numbers].sort(byValue);
+        if (current.some((value, index) => value !== original[index])) return false;
+
+        return isSortedBy(this.numbers, this.sortOrder);
     }
 
     /**
@@ -288,7 +924,28 @@ export class GameEngine {
      */
     getNextMoveHint() {
         const nextStep = this.stepQueue[this.currentStepIndex];
-        return getNextMoveHint(this.currentAlgorithm?.key, nextStep);
+        return getNextMoveHint(this.currentAlgorithm?.key, nextStep, this.sortOrder);
+    }
+
+    /**
+     * Obține codul puzzle-ului curent, pe care alt jucător îl poate încărca
+     * @returns {string|null}
+     */
+    getPuzzleCode() {
+        if (!this.currentAlgorithm || this.seed === null) return null;
+
+        // Un comparator personalizat nu poate fi descris printr-un cod
+        if (!Object.values(SORT_ORDERS).includes(this.sortOrder)) return null;
+
+        return encodePuzzleCode({
+            algorithmKey: this.currentAlgorithm.key,
+            partitionScheme: this.options.partitionScheme,
+            direction: this.sortOrder.key,
+            difficulty: this.difficulty.key,
+            customDifficulty: this.options.customDifficulty,
+            numbers: this.originalNumbers,
+            seed: this.seed
+        });
     }
 
     /**
@@ -316,19 +973,25 @@ export class GameEngine {
         };
     }
 
+    /**
+     * Numărul de comparații rămase de confirmat cu „Nicio schimbare” (modul strict)
+     * @returns {number}
+     */
+    getPendingConfirmations() {
+        return this.stepQueue.slice(this.currentStepIndex).filter(isSkipStep).length;
+    }
+
     /**
      * Obține statisticile jocului
      * @returns {Object}
      */
     getStats() {
-        const duration = this.stats.endTime
-            ? (this.stats.endTime - this.stats.startTime) / 1000
-            : this.stats.startTime
-                ? (Date.now() - this.stats.startTime) / 1000
-                : 0;
-
-        const efficiency = this.stats.totalMoves > 0
-            ? Math.round((this.stats.correctMoves / this.stats.totalMoves) * 100)
+        const duration = this.getElapsedTime() / 1000;
+
+        // Anulările contează ca încercări, altfel eficiența ar putea fi „reparată”
+        const attempts = this.stats.totalMoves + this.stats.undos;
+        const efficiency = attempts > 0
+            ? Math.round((this.stats.correctMoves / attempts) * 100)
             : 100;
 
         return {
@@ -338,6 +1001,76 @@ export class GameEngine {
         };
     }
 
+    /**
+     * Obține timpul de joc scurs, fără pauze
+     * @returns {number} - Milisecunde
+     */
+    getElapsedTime() {
+        if (!this.stats.startTime) return 0;
+
+        // Cât timp jocul e în pauză, durata rămâne înghețată
+        const end = this.stats.endTime || this.stats.pauseStartedAt || Date.now();
+        return end - this.stats.startTime - this.stats.pausedTime;
+    }
+
+    /**
+     * Adaugă un eveniment în jurnalul jocului
+     * @param {string} type - Tipul evenimentului (vezi LOG_EVENTS)
+     * @param {Object} details - Datele evenimentului
+     */
+    logEvent(type, details = {}) {
+        const entry = {
+            type,
+            timestamp: Date.now(),
+            elapsed: this.getElapsedTime(),
+            stepIndex: this.currentStepIndex,
+            ...details
+        };
+
+        // Când se joacă pe rând, fiecare acțiune îi aparține jucătorului de la rând
+        if (this.isHotSeat()) {
+            entry.player = this.getCurrentPlayer().name;
+        }
+
+        this.moveLog.push(entry);
+    }
+
+    /**
+     * Rezumă un pas pentru jurnal (fără detaliile interne ale generatorului)
+     * @param {Object} step - Pasul din coadă
+     * @returns {Object|null} - `{ type, indices, rows, message }`
+     */
+    describeStep(step) {
+        if (!step) return null;
+
+        return {
+            type: step.type,
+            indices: [...step.indices],
+            rows: this.getStepRows(step),
+            message: step.message
+        };
+    }
+
+    /**
+     * Obține datele complete ale jocului curent (pentru reluare)
+     * @returns {Object} - `{ algorithmKey, algorithmName, difficulty, puzzleCode, startedAt,
+     *                     options, numbers, moves, stats, players }`
+     */
+    getSession() {
+        return {
+            algorithmKey: this.currentAlgorithm?.key ?? null,
+            algorithmName: this.currentAlgorithm?.name ?? null,
+            difficulty: this.difficulty?.key ?? null,
+            puzzleCode: this.getPuzzleCode(),
+            startedAt: this.stats.startTime ? new Date(this.stats.startTime).toISOString() : null,
+            options: { ...this.options },
+            numbers: [...this.originalNumbers],
+            moves: this.moveLog.map(entry => ({ ...entry })),
+            stats: this.getStats(),
+            players: this.getPlayersReport()
+        };
+    }
+
     /**
      * Obține starea curentă pentru UI
      * @returns {Object}
@@ -346,12 +1079,26 @@ export class GameEngine {
         return {
             state: this.state,
             numbers: [...this.numbers],
+            buffer: [...this.buffer],
+            tags: this.getTags(),
+            bufferTags: this.getTags(ROWS.BUFFER),
             algorithm: this.currentAlgorithm,
+            puzzleCode: this.getPuzzleCode(),
+            difficulty: this.difficulty,
+            direction: this.sortOrder.key,
             selectedIndex: this.selectedIndex,
+            selectedRow: this.selectedRow,
             progress: this.getProgress(),
             stats: this.getStats(),
             currentHint: this.getNextMoveHint(),
-            expectedStep: this.getCurrentExpectedStep()
+            expectedStep: this.getCurrentExpectedStep(),
+            players: this.players.map(({ name, stats }) => ({ name, ...stats })),
+            currentPlayer: this.getCurrentPlayer()?.name ?? null,
+            history: {
+                canUndo: this.canUndo(),
+                canRedo: this.canRedo(),
+                undos: this.stats.undos
+            }
         };
     }
 
@@ -362,7 +1109,7 @@ export class GameEngine {
      */
     changeAlgorithm(algorithmKey) {
         if (ALGORITHMS[algorithmKey]) {
-            return this.startNewGame(algorithmKey);
+            return this.startNewGame(algorithmKey, this.options);
         }
         throw new Error(`Algoritm necunoscut: ${algorithmKey}`);
     }
@@ -0,0 +1,43 @@
+/**
+ * game-engine.test.js - Teste pentru motorul de joc
+ *
+ * Rulare: `npm test` (folosește `node:test`, fără dependențe instalate)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameEngine, GAME_STATES } from './game-engine.js';
+import { playExpectedStep } from './demo.js';
+
+test('vectorul nu e sortat cât timp interclasarea are valori în buffer', () => {
+    const engine = new GameEngine();
+    engine.startNewGame('merge', { seed: 390, difficulty: 'medium' });
+    assert.deepEqual(engine.numbers, [14, 3, 4, 7, 8, 18]);
+
+    for (let i = 0; i < 3; i++) playExpectedStep(engine);
+
+    // 14 e doar în buffer, iar 3 apare de două ori în vector
+    assert.deepEqual(engine.numbers, [3, 3, 4, 7, 8, 18]);
+    assert.equal(engine.isSorted(), false);
+
+    while (engine.getProgress().remaining > 0) playExpectedStep(engine);
+    assert.deepEqual(engine.numbers, [3, 4, 7, 8, 14, 18]);
+    assert.equal(engine.isSorted(), true);
+});
+
+test('în modul strict comparațiile rămase după sortare trebuie confirmate', () => {
+    const engine = new GameEngine();
+    engine.startNewGame('bubble', { seed: 390, difficulty: 'medium', strict: true });
+
+    while (!engine.isSorted()) playExpectedStep(engine);
+
+    // Ultima trecere a Metodei Bulelor doar compară, fără schimbări
+    const pending = engine.getPendingConfirmations();
+    assert.ok(pending > 0);
+    assert.equal(pending, engine.getProgress().remaining);
+
+    while (engine.getProgress().remaining > 0) playExpectedStep(engine);
+    assert.equal(engine.getPendingConfirmations(), 0);
+    assert.equal(engine.state, GAME_STATES.COMPLETED);
+});
@@ -0,0 +1,113 @@
+/**
+ * hot-seat.js - Mai mulți jucători pe același calculator
+ *
+ * Jucătorii rezolvă împreună același puzzle și mută pe rând: după fiecare
+ * încercare (corectă sau greșită) rândul trece la următorul jucător.
+ * Fiecare jucător are propriile statistici.
+ */
+
+/**
+ * Limitele modului cu mai mulți jucători
+ */
+export const HOT_SEAT_LIMITS = {
+    minPlayers: 2,
+    maxPlayers: 4,
+    maxNameLength: 20
+};
+
+/**
+ * Extrage numele jucătorilor dintr-un text (separate prin virgulă)
+ * @param {string} text - Textul introdus (ex. "Ana, Mihai")
+ * @returns {string[]} - Numele, fără spații la capete
+ * @throws {Error} - Dacă numărul de jucători sau numele nu sunt valide
+ */
+export function parsePlayerNames(text) {
+    const names = String(text ?? '').split(/[,;\n]+/).map(name => name.trim()).filter(Boolean);
+    validatePlayerNames(names);
+    return names;
+}
+
+/**
+ * Verifică lista de jucători a unui joc
+ * @param {string[]} names - Numele jucătorilor
+ * @throws {Error} - Dacă lista nu este validă
+ */
+export function validatePlayerNames(names) {
+    const { minPlayers, maxPlayers, maxNameLength } = HOT_SEAT_LIMITS;
+
+    if (!Array.isArray(names) || names.length < minPlayers) {
+        throw new Error(`Introdu cel puțin ${minPlayers} jucători, separați prin virgulă (ex. Ana, Mihai).`);
+    }
+    if (names.length > maxPlayers) {
+        throw new Error(`Pot juca cel mult ${maxPlayers} jucători deodată.`);
+    }
+
+    const seen = new Set();
+    names.forEach(name => {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Numele jucătorilor nu pot fi goale.');
+        }
+        if (name.length > maxNameLength) {
+            throw new Error(`Numele „${name}” are mai mult de ${maxNameLength} caractere.`);
+        }
+        const key = name.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(`Numele „${name}” apare de două ori.`);
+        }
+        seen.add(key);
+    });
+}
+
+/**
+ * Creează un jucător cu statisticile la zero
+ * @param {string} name - Numele jucătorului
+ * @returns {Object} - `{ name, stats: { totalMoves, correctMoves, incorrectMoves, time } }`
+ */
+export function createPlayer(name) {
+    return {
+        name,
+        stats: {
+            totalMoves: 0,
+            correctMoves: 0,
+            incorrectMoves: 0,
+            time: 0
+        }
+    };
+}
+
+/**
+ * Calculează rezultatul fiecărui jucător și clasamentul final
+ *
+ * Câștigă cine are mai multe mutări corecte; la egalitate contează
+ * eficiența, apoi timpul de gândire.
+ * @param {Object[]} players - Jucătorii (vezi `createPlayer`)
+ * @returns {Object[]} - `{ name, totalMoves, correctMoves, incorrectMoves, efficiency,
+ *                       duration, rank }`, ordonați după clasament
+ */
+export function rankPlayers(players) {
+    const results = players.map(({ name, stats }) => ({
+        name,
+        totalMoves: stats.totalMoves,
+        correctMoves: stats.correctMoves,
+        incorrectMoves: stats.incorrectMoves,
+        efficiency: stats.totalMoves > 0
+            ? Math.round((stats.correctMoves / stats.totalMoves) * 100)
+            : 100,
+        duration: Math.round(stats.time / 1000)
+    }));
+
+    const compare = (a, b) =>
+        b.correctMoves - a.correctMoves ||
+        b.efficiency - a.efficiency ||
+        a.duration - b.duration;
+
+    results.sort(compare);
+
+    // Jucătorii la egalitate împart locul
+    results.forEach((result, index) => {
+        const previous = results[index - 1];
+        result.rank = previous && compare(previous, result) === 0 ? previous.rank : index + 1;
+    });
+
+    return results;
+}
@@ -0,0 +1,150 @@
+/**
+ * playback.js - Redare pas cu pas, cu pauză și viteză reglabilă
+ *
+ * Clasa nu știe ce redă: primește numărul de pași și o funcție (posibil
+ * asincronă, ex. o animație) care execută pasul cu un anumit index. Opțional,
+ * primește și funcția care anulează un pas, pentru derularea înapoi.
+ */
+
+/**
+ * Pauza implicită dintre doi pași, la viteza 1×
+ */
+const BASE_DELAY = 900;
+
+/**
+ * Așteaptă un număr de milisecunde
+ * @param {number} ms - Durata
+ * @returns {Promise}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Controlează redarea unei secvențe de pași
+ */
+export class Playback {
+    /**
+     * @param {Object} config
+     * @param {number} config.total - Numărul de pași
+     * @param {Function} config.onStep - `(index) => Promise|void`, execută pasul `index`
+     * @param {Function|null} config.onBack - `(index) => Promise|void`, anulează pasul `index`
+     * @param {Function} config.onChange - Apelată când se schimbă poziția sau starea redării
+     * @param {number} config.baseDelay - Pauza dintre pași la viteza 1× (ms)
+     */
+    constructor({ total, onStep, onBack = null, onChange = () => {}, baseDelay = BASE_DELAY }) {
+        this.total = total;
+        this.onStep = onStep;
+        this.onBack = onBack;
+        this.onChange = onChange;
+        this.baseDelay = baseDelay;
+        this.position = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.busy = false;
+    }
+
+    /**
+     * Verifică dacă toți pașii au fost redați
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.position >= this.total;
+    }
+
+    /**
+     * Execută următorul pas
+     * @returns {Promise<boolean>} - False dacă nu mai sunt pași sau un pas e deja în curs
+     */
+    async step() {
+        if (this.busy || this.isFinished()) return false;
+
+        this.busy = true;
+        try {
+            await this.onStep(this.position);
+            this.position++;
+        } finally {
+            this.busy = false;
+        }
+
+        this.onChange(this);
+        return true;
+    }
+
+    /**
+     * Verifică dacă se poate reveni cu un pas
+     * @returns {boolean}
+     */
+    canStepBack() {
+        return this.onBack !== null && this.position > 0;
+    }
+
+    /**
+     * Anulează ultimul pas redat
+     * @returns {Promise<boolean>} - False dacă nu se poate reveni sau un pas e în curs
+     */
+    async back() {
+        if (this.busy || !this.canStepBack()) return false;
+
+        this.busy = true;
+        try {
+            await this.onBack(this.position - 1);
+            this.position--;
+        } finally {
+            this.busy = false;
+        }
+
+        this.onChange(this);
+        return true;
+    }
+
+    /**
+     * Pornește redarea automată până la final sau până la pauză
+     */
+    async play() {
+        if (this.playing || this.isFinished()) return;
+
+        this.playing = true;
+        this.onChange(this);
+
+        while (this.playing && !this.isFinished()) {
+            await this.step();
+            if (!this.isFinished()) {
+                await wait(this.baseDelay / this.speed);
+            }
+        }
+
+        this.playing = false;
+        this.onChange(this);
+    }
+
+    /**
+     * Oprește redarea automată (pasul în curs se termină)
+     */
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.onChange(this);
+    }
+
+    /**
+     * Pornește sau oprește redarea automată
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Setează viteza redării
+     * @param {number} speed - Multiplicatorul (ex. 0.5, 1, 2)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.25, Number(speed) || 1);
+        this.onChange(this);
+    }
+}
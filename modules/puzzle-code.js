@@ -0,0 +1,200 @@
+/**
+ * puzzle-code.js - Coduri scurte pentru puzzle-uri reproductibile
+ *
+ * Un cod descrie algoritmul, dificultatea și seed-ul unui joc, de exemplu
+ * `BU-M-1Z4K9Q`. Alt jucător care introduce codul primește exact același vector.
+ * Dificultatea personalizată se scrie ca `C<lungime>.<min>.<max>.<duplicate>.<ordine>`,
+ * iar un vector dat explicit ca `A<v1>.<v2>...` (ex. `BU-A5.3.8.1-1Z4K9Q`).
+ * Sortarea descrescătoare adaugă `D` după prefixul algoritmului (ex. `BUD-M-1Z4K9Q`).
+ */
+
+import { ALGORITHMS, PARTITION_SCHEMES } from './algorithms.js';
+import { MAX_SEED } from './random.js';
+import {
+    CUSTOM_DIFFICULTY,
+    DEFAULT_DIFFICULTY,
+    GIVEN_ARRAY_DIFFICULTY,
+    INPUT_ORDERS,
+    validateCustomArray,
+    validateCustomDifficulty
+} from './difficulty.js';
+import { SORT_DIRECTIONS, SORT_ORDERS } from './sort-order.js';
+
+/**
+ * Prefixele de algoritm folosite în coduri
+ */
+const ALGORITHM_CODES = {
+    BU: { algorithmKey: 'bubble' },
+    SE: { algorithmKey: 'selection' },
+    IN: { algorithmKey: 'insertion' },
+    QL: { algorithmKey: 'quick', partitionScheme: PARTITION_SCHEMES.LOMUTO },
+    QH: { algorithmKey: 'quick', partitionScheme: PARTITION_SCHEMES.HOARE },
+    ME: { algorithmKey: 'merge' },
+    HE: { algorithmKey: 'heap' }
+};
+
+/**
+ * Sufixul prefixului de algoritm pentru sortarea descrescătoare
+ */
+const DESCENDING_SUFFIX = 'D';
+
+/**
+ * Literele nivelurilor predefinite
+ */
+const DIFFICULTY_CODES = {
+    E: 'easy',
+    M: 'medium',
+    H: 'hard',
+    S: 'stability'
+};
+
+/**
+ * Literele ordinii inițiale (pentru dificultatea personalizată)
+ */
+const ORDER_CODES = {
+    R: INPUT_ORDERS.RANDOM,
+    N: INPUT_ORDERS.NEARLY_SORTED,
+    V: INPUT_ORDERS.REVERSED
+};
+
+/**
+ * Găsește cheia asociată unei valori
+ * @param {Object} codes - Tabelul de coduri
+ * @param {string} value - Valoarea căutată
+ * @returns {string|undefined}
+ */
+function findCode(codes, value) {
+    return Object.keys(codes).find(code => codes[code] === value);
+}
+
+/**
+ * Construiește segmentul de dificultate al codului
+ * @param {string} difficulty - Cheia nivelului
+ * @param {Object} customDifficulty - Setările personalizate
+ * @param {number[]} numbers - Vectorul inițial (folosit doar pentru un vector dat)
+ * @returns {string}
+ */
+function encodeDifficulty(difficulty, customDifficulty, numbers) {
+    if (difficulty === GIVEN_ARRAY_DIFFICULTY) {
+        return `A${numbers.join('.')}`;
+    }
+    if (difficulty === CUSTOM_DIFFICULTY) {
+        const { length, minValue, maxValue, duplicates, order } = customDifficulty;
+        return `C${length}.${minValue}.${maxValue}.${duplicates ? 1 : 0}.${findCode(ORDER_CODES, order)}`;
+    }
+    return findCode(DIFFICULTY_CODES, difficulty) || findCode(DIFFICULTY_CODES, DEFAULT_DIFFICULTY);
+}
+
+/**
+ * Interpretează segmentul de dificultate al codului
+ * @param {string} segment - Segmentul (ex. `M`, `C8.1.30.1.N` sau `A5.3.8.1`)
+ * @param {string} direction - Direcția de sortare (pentru verificarea unui vector dat)
+ * @returns {Object} - `{ difficulty, customDifficulty }` și `numbers` pentru un vector dat
+ * @throws {Error} - Dacă segmentul nu este valid
+ */
+function decodeDifficulty(segment, direction) {
+    if (DIFFICULTY_CODES[segment]) {
+        return { difficulty: DIFFICULTY_CODES[segment], customDifficulty: null };
+    }
+
+    if (/^A\d+(\.\d+)*$/.test(segment)) {
+        const numbers = segment.slice(1).split('.').map(Number);
+        try {
+            validateCustomArray(numbers, SORT_ORDERS[direction]);
+        } catch (error) {
+            throw new Error(`Cod de puzzle invalid: ${error.message}`);
+        }
+        return { difficulty: GIVEN_ARRAY_DIFFICULTY, customDifficulty: null, numbers };
+    }
+
+    const match = /^C(\d+)\.(\d+)\.(\d+)\.([01])\.([A-Z])$/.exec(segment);
+    if (!match) {
+        throw new Error(`Cod de puzzle invalid: dificultatea „${segment}” nu există.`);
+    }
+
+    const customDifficulty = {
+        length: Number(match[1]),
+        minValue: Number(match[2]),
+        maxValue: Number(match[3]),
+        duplicates: match[4] === '1',
+        order: ORDER_CODES[match[5]]
+    };
+
+    try {
+        validateCustomDifficulty(customDifficulty);
+    } catch (error) {
+        throw new Error(`Cod de puzzle invalid: ${error.message}`);
+    }
+
+    return { difficulty: CUSTOM_DIFFICULTY, customDifficulty };
+}
+
+/**
+ * Găsește prefixul corespunzător unui algoritm
+ * @param {string} algorithmKey - Cheia algoritmului
+ * @param {string} partitionScheme - Schema de partiționare (doar pentru Quick Sort)
+ * @returns {string}
+ */
+function getAlgorithmCode(algorithmKey, partitionScheme) {
+    const scheme = algorithmKey === 'quick'
+        ? (partitionScheme || PARTITION_SCHEMES.LOMUTO)
+        : undefined;
+
+    const entry = Object.entries(ALGORITHM_CODES).find(([, info]) =>
+        info.algorithmKey === algorithmKey && info.partitionScheme === scheme
+    );
+
+    if (!entry) {
+        throw new Error(`Algoritm necunoscut: ${algorithmKey}`);
+    }
+    return entry[0];
+}
+
+/**
+ * Construiește codul unui puzzle
+ * @param {Object} puzzle - Datele puzzle-ului
+ * @param {string} puzzle.algorithmKey - Cheia algoritmului
+ * @param {string} puzzle.partitionScheme - Schema de partiționare (opțional)
+ * @param {string} puzzle.direction - Direcția de sortare ('asc' sau 'desc', opțional)
+ * @param {string} puzzle.difficulty - Cheia nivelului de dificultate
+ * @param {Object} puzzle.customDifficulty - Setările nivelului personalizat (opțional)
+ * @param {number[]} puzzle.numbers - Vectorul inițial (necesar pentru un vector dat)
+ * @param {number} puzzle.seed - Seed-ul generatorului
+ * @returns {string} - Codul, de ex. `BU-M-1Z4K9Q`
+ */
+export function encodePuzzleCode({ algorithmKey, partitionScheme, direction, difficulty, customDifficulty, numbers, seed }) {
+    const algorithmCode = getAlgorithmCode(algorithmKey, partitionScheme);
+    const directionCode = direction === SORT_DIRECTIONS.DESC ? DESCENDING_SUFFIX : '';
+    const difficultyCode = encodeDifficulty(difficulty, customDifficulty, numbers);
+    return `${algorithmCode}${directionCode}-${difficultyCode}-${seed.toString(36).toUpperCase()}`;
+}
+
+/**
+ * Interpretează un cod de puzzle
+ *
+ * Codurile fără segment de dificultate (ex. `BU-1Z4K9Q`) folosesc nivelul mediu.
+ * @param {string} code - Codul introdus de jucător
+ * @returns {Object} - `{ algorithmKey, partitionScheme, direction, difficulty, customDifficulty, seed }`,
+ *                     plus `numbers` pentru un vector dat explicit
+ * @throws {Error} - Dacă codul nu este valid
+ */
+export function decodePuzzleCode(code) {
+    const match = /^([A-Z]{2})(D?)(?:-([0-9A-Z.]+))?-([0-9A-Z]+)$/.exec(String(code).trim().toUpperCase());
+    if (!match) {
+        throw new Error('Cod de puzzle invalid! Formatul corect este de tipul BU-M-1Z4K9Q.');
+    }
+
+    const [, algorithmCode, directionCode, difficultyCode = findCode(DIFFICULTY_CODES, DEFAULT_DIFFICULTY), seedText] = match;
+    const direction = directionCode === DESCENDING_SUFFIX ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC;
+    const info = ALGORITHM_CODES[algorithmCode];
+    if (!info || !ALGORITHMS[info.algorithmKey]) {
+        throw new Error(`Cod de puzzle invalid: algoritmul „${algorithmCode}” nu există.`);
+    }
+
+    const seed = parseInt(seedText, 36);
+    if (!Number.isSafeInteger(seed) || seed > MAX_SEED) {
+        throw new Error('Cod de puzzle invalid: seed-ul este prea mare.');
+    }
+
+    return { ...info, direction, ...decodeDifficulty(difficultyCode, direction), seed };
+}
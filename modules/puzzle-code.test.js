@@ -0,0 +1,100 @@
+/**
+ * puzzle-code.test.js - Teste pentru codurile de puzzle
+ *
+ * Rulare: `npm test` (folosește `node:test`, fără dependențe instalate)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodePuzzleCode, decodePuzzleCode } from './puzzle-code.js';
+import { PARTITION_SCHEMES } from './algorithms.js';
+import { CUSTOM_DIFFICULTY, GIVEN_ARRAY_DIFFICULTY, INPUT_ORDERS } from './difficulty.js';
+import { SORT_DIRECTIONS } from './sort-order.js';
+import { MAX_SEED } from './random.js';
+
+/**
+ * Algoritmii (cu schema de partiționare, unde există) și prefixele lor
+ */
+const ALGORITHM_CASES = [
+    ['BU', { algorithmKey: 'bubble' }],
+    ['SE', { algorithmKey: 'selection' }],
+    ['IN', { algorithmKey: 'insertion' }],
+    ['QL', { algorithmKey: 'quick', partitionScheme: PARTITION_SCHEMES.LOMUTO }],
+    ['QH', { algorithmKey: 'quick', partitionScheme: PARTITION_SCHEMES.HOARE }],
+    ['ME', { algorithmKey: 'merge' }],
+    ['HE', { algorithmKey: 'heap' }]
+];
+
+test('codul fiecărui algoritm se decodează în același puzzle', () => {
+    for (const [prefix, algorithm] of ALGORITHM_CASES) {
+        const puzzle = { ...algorithm, direction: SORT_DIRECTIONS.ASC, difficulty: 'medium', seed: 123456 };
+        const code = encodePuzzleCode(puzzle);
+
+        assert.equal(code, `${prefix}-M-2N9C`);
+        assert.deepEqual(decodePuzzleCode(code), { ...puzzle, customDifficulty: null });
+    }
+});
+
+test('sortarea descrescătoare adaugă sufixul D', () => {
+    const puzzle = { algorithmKey: 'heap', direction: SORT_DIRECTIONS.DESC, difficulty: 'hard', seed: MAX_SEED };
+    const code = encodePuzzleCode(puzzle);
+
+    assert.equal(code, 'HED-H-1Z141Z3');
+    assert.deepEqual(decodePuzzleCode(code), { ...puzzle, customDifficulty: null });
+    assert.equal(decodePuzzleCode('HE-H-1Z141Z3').direction, SORT_DIRECTIONS.ASC);
+});
+
+test('dificultatea personalizată se păstrează în segmentul C', () => {
+    const customDifficulty = { length: 8, minValue: 1, maxValue: 30, duplicates: true, order: INPUT_ORDERS.NEARLY_SORTED };
+    const puzzle = { algorithmKey: 'insertion', direction: SORT_DIRECTIONS.ASC, difficulty: CUSTOM_DIFFICULTY, customDifficulty, seed: 42 };
+    const code = encodePuzzleCode(puzzle);
+
+    assert.equal(code, 'IN-C8.1.30.1.N-16');
+    assert.deepEqual(decodePuzzleCode(code), puzzle);
+});
+
+test('vectorul dat explicit se păstrează în segmentul A', () => {
+    const puzzle = { algorithmKey: 'bubble', direction: SORT_DIRECTIONS.DESC, difficulty: GIVEN_ARRAY_DIFFICULTY, numbers: [5, 3, 8, 1], seed: 7 };
+    const code = encodePuzzleCode(puzzle);
+
+    assert.equal(code, 'BUD-A5.3.8.1-7');
+    assert.deepEqual(decodePuzzleCode(code), { ...puzzle, customDifficulty: null });
+});
+
+test('codurile fără dificultate folosesc nivelul mediu, iar literele mici sunt acceptate', () => {
+    assert.equal(decodePuzzleCode('BU-1Z4K9Q').difficulty, 'medium');
+    assert.deepEqual(decodePuzzleCode(' se-e-zz '), decodePuzzleCode('SE-E-ZZ'));
+});
+
+test('codurile greșite sunt respinse', () => {
+    const invalid = [
+        '',
+        'BU',
+        'BU-M-',
+        'B-M-1Z',
+        'BUX-M-1Z',
+        'BU-M-1Z-2',
+        'BU-M-1_Z',
+        'XX-M-1Z',            // algoritm necunoscut
+        'BU-Q-1Z',            // dificultate necunoscută
+        'BU-C8.1.30.2.N-1Z',  // duplicate nici 0, nici 1
+        'BU-C8.30.1.1.N-1Z',  // minimul peste maxim
+        'BU-C8.1.30.1.X-1Z',  // ordine inițială necunoscută
+        'BU-C20.1.30.1.R-1Z', // vector prea lung
+        'BU-A1.2.3-1Z',       // vector deja sortat
+        'BUD-A3.2.1-1Z',      // vector deja sortat descrescător
+        'BU-A5.300.1-1Z'      // valoare în afara limitelor
+    ];
+
+    for (const code of invalid) {
+        assert.throws(() => decodePuzzleCode(code), /Cod de puzzle invalid/, code);
+    }
+});
+
+test('seed-urile prea mari sunt respinse', () => {
+    const tooLarge = (MAX_SEED + 1).toString(36).toUpperCase();
+
+    assert.throws(() => decodePuzzleCode(`BU-M-${tooLarge}`), /seed-ul este prea mare/);
+    assert.throws(() => decodePuzzleCode('BU-M-ZZZZZZZZZZZZZZZ'), /seed-ul este prea mare/);
+});
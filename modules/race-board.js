@@ -0,0 +1,181 @@
+/**
+ * race-board.js - O tablă de joc independentă, montată într-un container oarecare
+ *
+ * Fiecare tablă are propriul `GameEngine` și propriul `UIManager`, deci pe aceeași
+ * pagină pot rula mai multe jocuri în paralel (de ex. doi algoritmi în cursă).
+ */
+
+import { GameEngine, GAME_STATES } from './game-engine.js';
+import { UIManager } from './ui-manager.js';
+import { ROWS, isTransferStep, isSkipStep, getSortedRegion } from './algorithms.js';
+import { playExpectedStep } from './demo.js';
+
+/**
+ * O tablă de joc cu motor și interfață proprii
+ */
+export class RaceBoard {
+    /**
+     * @param {HTMLElement} container - Elementul care conține tabla (elementele marcate cu `data-ui`)
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onProgress - `(board)`, apelată după fiecare mutare
+     * @param {Function} callbacks.onComplete - `(board)`, apelată când vectorul e sortat
+     */
+    constructor(container, { onProgress = () => {}, onComplete = () => {} } = {}) {
+        this.container = container;
+        this.engine = new GameEngine();
+        this.ui = new UIManager();
+        this.ui.init(container);
+        this.onProgress = onProgress;
+        this.onComplete = onComplete;
+        this.busy = false;
+    }
+
+    /**
+     * Pornește un joc nou pe tablă
+     * @param {string} algorithmKey - Cheia algoritmului
+     * @param {Object} options - Opțiunile jocului (același `seed` dă același vector)
+     * @returns {Object} - Informațiile returnate de `GameEngine.startNewGame()`
+     */
+    start(algorithmKey, options) {
+        const gameData = this.engine.startNewGame(algorithmKey, options);
+
+        this.busy = false;
+        this.ui.setAlgorithmTitle(gameData.algorithm.name);
+        this.ui.setStatusMessage(gameData.firstHint, 'info');
+        this.render();
+        this.refreshStats();
+
+        return gameData;
+    }
+
+    /**
+     * Desenează vectorul (și bufferul, dacă algoritmul îl folosește)
+     */
+    render() {
+        const engine = this.engine;
+        const onClick = (row) => (index) => this.handleCardClick(index, row);
+
+        this.ui.renderNumbers(engine.numbers, onClick(ROWS.MAIN), engine.getTags());
+        if (engine.currentAlgorithm.usesBuffer) {
+            this.ui.renderBuffer(engine.buffer, onClick(ROWS.BUFFER), engine.getTags(ROWS.BUFFER));
+        }
+        this.updateStepContext();
+    }
+
+    /**
+     * Actualizează vizualizările legate de pasul curent
+     */
+    updateStepContext() {
+        const engine = this.engine;
+        const step = engine.getCurrentExpectedStep();
+
+        this.ui.highlightPartition(step);
+        this.ui.showSortedRegion(
+            getSortedRegion(engine.currentAlgorithm.key, step, engine.numbers.length, engine.sortOrder)
+        );
+
+        if (engine.currentAlgorithm.showsTree) {
+            this.ui.renderHeapTree(engine.numbers, step, (index) => this.handleCardClick(index, ROWS.MAIN));
+        } else {
+            this.ui.hideHeapTree();
+        }
+    }
+
+    /**
+     * Actualizează progresul și numărul de mutări
+     */
+    refreshStats() {
+        const gameState = this.engine.getGameState();
+        this.ui.updateProgress(gameState.progress);
+        this.ui.updateStats(gameState.stats);
+    }
+
+    /**
+     * Verifică dacă tabla a terminat sortarea
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.engine.state === GAME_STATES.COMPLETED;
+    }
+
+    /**
+     * Gestionează click-ul jucătorului pe un card
+     * @param {number} index - Indexul cardului
+     * @param {string} row - Rândul cardului
+     */
+    async handleCardClick(index, row = ROWS.MAIN) {
+        if (this.busy || this.engine.state !== GAME_STATES.PLAYING) return;
+
+        const result = this.engine.selectElement(index, row);
+
+        if (result.action === 'selected') {
+            this.ui.selectCard(index, row);
+        } else if (result.action === 'deselected') {
+            this.ui.deselectAllCards();
+        } else {
+            await this.showResult(result);
+        }
+    }
+
+    /**
+     * Execută automat următorul pas corect
+     * @returns {Promise<boolean>} - False dacă tabla a terminat sau o mutare e în curs
+     */
+    async advance() {
+        if (this.busy || this.engine.state !== GAME_STATES.PLAYING) return false;
+
+        this.engine.clearSelection();
+        this.ui.deselectAllCards();
+
+        const { narration, result } = playExpectedStep(this.engine);
+        this.ui.setStatusMessage(narration, 'info');
+        await this.showResult(result, false);
+        return true;
+    }
+
+    /**
+     * Animează rezultatul unei mutări și anunță progresul
+     * @param {Object} result - Rezultatul returnat de engine
+     * @param {boolean} showMessage - Dacă mesajul mutării înlocuiește statusul
+     */
+    async showResult(result, showMessage = true) {
+        const engine = this.engine;
+        this.busy = true;
+
+        try {
+            if (!result.correct) {
+                await this.ui.animateIncorrectMove(result.indices, result.rows);
+                if (result.expectedIndices) {
+                    this.ui.highlightExpected(result.expectedIndices, result.expectedRows);
+                }
+            } else if (isSkipStep(result.step)) {
+                await this.ui.animateComparison(result.indices);
+            } else if (isTransferStep(result.step)) {
+                await this.ui.animateTransfer(result.step, engine.numbers, engine.buffer, {
+                    main: engine.getTags(),
+                    buffer: engine.getTags(ROWS.BUFFER)
+                });
+            } else {
+                await this.ui.animateCorrectSwap(result.indices, engine.numbers, engine.getTags());
+            }
+        } finally {
+            this.busy = false;
+        }
+
+        if (showMessage) {
+            this.ui.setStatusMessage(
+                result.correct ? result.nextHint : result.message,
+                result.correct ? 'info' : 'error'
+            );
+        }
+
+        this.refreshStats();
+        this.updateStepContext();
+        this.onProgress(this);
+
+        if (result.completed) {
+            this.ui.setStatusMessage(`Sortat în ${engine.getStats().totalMoves} mutări!`, 'success');
+            this.onComplete(this);
+        }
+    }
+}
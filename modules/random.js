@@ -0,0 +1,47 @@
+/**
+ * random.js - Generator de numere pseudo-aleatorii cu seed
+ *
+ * Toată aleatoritatea jocului trece prin acest modul, astfel încât
+ * același seed produce întotdeauna același puzzle.
+ */
+
+/**
+ * Valoarea maximă a unui seed (32 de biți fără semn)
+ */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Creează un generator determinist (algoritmul Mulberry32)
+ * @param {number} seed - Seed-ul generatorului
+ * @returns {Function} - Funcție care returnează numere în intervalul [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generează un seed nou pentru un puzzle aleatoriu
+ * @returns {number}
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+/**
+ * Returnează un întreg aleatoriu din intervalul [min, max]
+ * @param {Function} random - Generatorul de numere
+ * @param {number} min - Valoarea minimă
+ * @param {number} max - Valoarea maximă
+ * @returns {number}
+ */
+export function randomInt(random, min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
@@ -0,0 +1,88 @@
+/**
+ * replay.js - Reluarea unui joc terminat
+ *
+ * Reluarea pornește un motor de joc nou pe același vector și îi trimite, în
+ * ordine, evenimentele din jurnal. Astfel fiecare mutare (corectă sau greșită)
+ * produce exact rezultatul pe care l-a văzut jucătorul.
+ */
+
+import { GameEngine, LOG_EVENTS } from './game-engine.js';
+
+/**
+ * O reluare construită din datele returnate de `GameEngine.getSession()`
+ */
+export class SessionReplay {
+    /**
+     * @param {Object} session - `{ algorithmKey, options, numbers, moves }`
+     * @throws {Error} - Dacă sesiunea nu conține un joc
+     */
+    constructor(session) {
+        if (!session?.algorithmKey || !Array.isArray(session.numbers) || !Array.isArray(session.moves)) {
+            throw new Error('Sesiunea nu conține un joc care poate fi reluat.');
+        }
+
+        this.session = session;
+        this.engine = new GameEngine();
+        this.engine.startNewGame(session.algorithmKey, {
+            ...session.options,
+            numbers: session.numbers
+        });
+    }
+
+    /**
+     * Numărul de evenimente din jurnal
+     * @returns {number}
+     */
+    get length() {
+        return this.session.moves.length;
+    }
+
+    /**
+     * Aplică evenimentul cu indexul dat
+     * @param {number} index - Indexul din jurnal
+     * @returns {Object} - `{ entry, result }`, unde `result` vine de la motorul reluării
+     */
+    apply(index) {
+        const entry = this.session.moves[index];
+        const engine = this.engine;
+        let result = null;
+
+        switch (entry.type) {
+            case LOG_EVENTS.SELECT:
+                engine.clearSelection();
+                result = engine.selectElement(entry.index, entry.row);
+                break;
+
+            case LOG_EVENTS.DESELECT:
+                engine.clearSelection();
+                result = { success: true, action: 'deselected', message: 'Selecție anulată.' };
+                break;
+
+            case LOG_EVENTS.MOVE: {
+                const [index1, index2] = entry.indices;
+                const [row1, row2] = entry.rows;
+                engine.clearSelection();
+                result = engine.attemptSwap(index1, index2, row1, row2);
+                break;
+            }
+
+            case LOG_EVENTS.SKIP:
+                result = engine.confirmNoSwap();
+                break;
+
+            case LOG_EVENTS.UNDO:
+                result = engine.undo();
+                break;
+
+            case LOG_EVENTS.REDO:
+                result = engine.redo();
+                break;
+
+            default:
+                // Pauzele nu schimbă tabla; reluarea nu oprește motorul
+                result = { success: true };
+        }
+
+        return { entry, result };
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * scores.js - Rezultate salvate și clasamente
+ *
+ * Jocurile terminate se păstrează în localStorage, astfel încât fiecare
+ * jucător își poate compara rezultatele cu cele anterioare.
+ */
+
+/**
+ * Cheile folosite în localStorage
+ */
+const STORAGE_KEYS = {
+    SCORES: 'sortingGame.scores',
+    SESSIONS: 'sortingGame.sessions',
+    NICKNAME: 'sortingGame.nickname'
+};
+
+/**
+ * Numărul maxim de rezultate păstrate (cele mai vechi se șterg)
+ */
+const MAX_SCORES = 500;
+
+/**
+ * Numărul maxim de sesiuni complete păstrate (au jurnalul mutărilor, deci ocupă mai mult)
+ */
+const MAX_SESSIONS = 50;
+
+/**
+ * Porecla folosită când jucătorul nu și-a ales una
+ */
+export const DEFAULT_NICKNAME = 'Anonim';
+
+/**
+ * Compară două rezultate: eficiența mai mare, apoi timpul și mutările mai mici
+ * @param {Object} a - Primul rezultat
+ * @param {Object} b - Al doilea rezultat
+ * @returns {number} - Negativ dacă `a` este mai bun
+ */
+export function compareScores(a, b) {
+    return (b.efficiency - a.efficiency) ||
+           (a.duration - b.duration) ||
+           (a.totalMoves - b.totalMoves);
+}
+
+/**
+ * Clasa care gestionează rezultatele salvate
+ */
+export class ScoreStore {
+    /**
+     * @param {Storage|null} storage - Spațiul de stocare (implicit localStorage)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Citește o valoare JSON din stocare
+     * @param {string} key - Cheia
+     * @param {*} fallback - Valoarea folosită dacă lipsește sau e coruptă
+     * @returns {*}
+     */
+    read(key, fallback) {
+        try {
+            const raw = this.storage?.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.error('Nu s-au putut citi rezultatele salvate:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Scrie o valoare JSON în stocare
+     * @param {string} key - Cheia
+     * @param {*} value - Valoarea
+     */
+    write(key, value) {
+        try {
+            this.storage?.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error('Nu s-au putut salva rezultatele:', error);
+        }
+    }
+
+    /**
+     * Obține toate rezultatele salvate, în ordinea în care au fost jucate
+     * @returns {Object[]}
+     */
+    getAll() {
+        const scores = this.read(STORAGE_KEYS.SCORES, []);
+        return Array.isArray(scores) ? scores : [];
+    }
+
+    /**
+     * Salvează un joc terminat
+     * @param {Object} score - `{ algorithm, algorithmName, difficulty, difficultyName,
+     *                         length, totalMoves, efficiency, duration }`
+     * @returns {Object} - `{ score, previousBest, isRecord }`; `isRecord` e adevărat doar
+     *                     dacă jucătorul își depășește un rezultat anterior în aceeași categorie
+     */
+    add(score) {
+        const entry = {
+            ...score,
+            nickname: score.nickname || this.getNickname(),
+            date: score.date || new Date().toISOString()
+        };
+
+        const previousBest = this.getBest({
+            algorithm: entry.algorithm,
+            difficulty: entry.difficulty,
+            nickname: entry.nickname
+        });
+
+        const scores = [...this.getAll(), entry].slice(-MAX_SCORES);
+        this.write(STORAGE_KEYS.SCORES, scores);
+
+        return {
+            score: entry,
+            previousBest,
+            isRecord: previousBest !== null && compareScores(entry, previousBest) < 0
+        };
+    }
+
+    /**
+     * Filtrează rezultatele
+     * @param {Object} filter - `{ algorithm, difficulty, nickname }` (câmpurile lipsă nu filtrează)
+     * @returns {Object[]}
+     */
+    filter({ algorithm, difficulty, nickname } = {}) {
+        return this.getAll().filter(score =>
+            (!algorithm || score.algorithm === algorithm) &&
+            (!difficulty || score.difficulty === difficulty) &&
+            (!nickname || score.nickname === nickname)
+        );
+    }
+
+    /**
+     * Obține cel mai bun rezultat dintr-o categorie
+     * @param {Object} filter - Vezi `filter()`
+     * @returns {Object|null}
+     */
+    getBest(filter = {}) {
+        const [best] = this.filter(filter).sort(compareScores);
+        return best || null;
+    }
+
+    /**
+     * Obține clasamentul: cel mai bun rezultat al fiecărui jucător
+     * @param {Object} filter - `{ algorithm, difficulty }`
+     * @param {number} limit - Numărul maxim de rânduri
+     * @returns {Object[]}
+     */
+    getLeaderboard(filter = {}, limit = 10) {
+        const bestByPlayer = new Map();
+
+        this.filter(filter).forEach(score => {
+            const current = bestByPlayer.get(score.nickname);
+            if (!current || compareScores(score, current) < 0) {
+                bestByPlayer.set(score.nickname, score);
+            }
+        });
+
+        return [...bestByPlayer.values()].sort(compareScores).slice(0, limit);
+    }
+
+    /**
+     * Obține sesiunile complete ale jocurilor terminate (pentru export)
+     * @returns {Object[]}
+     */
+    getSessions() {
+        const sessions = this.read(STORAGE_KEYS.SESSIONS, []);
+        return Array.isArray(sessions) ? sessions : [];
+    }
+
+    /**
+     * Arhivează sesiunea completă a unui joc terminat
+     * @param {Object} session - Datele returnate de `GameEngine.getSession()`
+     */
+    archiveSession(session) {
+        // Comparatorii personalizați sunt funcții și nu pot fi salvați
+        const { sortOrder, ...options } = session.options || {};
+        const sessions = [...this.getSessions(), { ...session, options }].slice(-MAX_SESSIONS);
+        this.write(STORAGE_KEYS.SESSIONS, sessions);
+    }
+
+    /**
+     * Obține porecla jucătorului
+     * @returns {string}
+     */
+    getNickname() {
+        return this.read(STORAGE_KEYS.NICKNAME, DEFAULT_NICKNAME) || DEFAULT_NICKNAME;
+    }
+
+    /**
+     * Salvează porecla jucătorului
+     * @param {string} nickname - Porecla
+     * @returns {string} - Porecla salvată (curățată)
+     */
+    setNickname(nickname) {
+        const clean = String(nickname ?? '').trim().slice(0, 20) || DEFAULT_NICKNAME;
+        this.write(STORAGE_KEYS.NICKNAME, clean);
+        return clean;
+    }
+
+    /**
+     * Șterge toate rezultatele și sesiunile salvate
+     */
+    clear() {
+        this.write(STORAGE_KEYS.SCORES, []);
+        this.write(STORAGE_KEYS.SESSIONS, []);
+    }
+}
+
+// Exportă instanța singleton pentru utilizare globală
+export const scoreStore = new ScoreStore();
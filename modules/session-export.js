@@ -0,0 +1,183 @@
+/**
+ * session-export.js - Exportul și importul sesiunilor de joc
+ *
+ * O sesiune este obiectul returnat de `GameEngine.getSession()`: vectorul inițial,
+ * algoritmul, jurnalul complet al mutărilor și statisticile. Sesiunile se exportă
+ * ca JSON (care poate fi importat înapoi pentru reluare) sau ca CSV, cu un rând
+ * pentru fiecare acțiune, ușor de deschis într-un program de calcul tabelar.
+ */
+
+import { ALGORITHMS } from './algorithms.js';
+
+/**
+ * Identificatorul și versiunea formatului JSON
+ */
+export const EXPORT_FORMAT = 'sorting-game-sessions';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Coloanele fișierului CSV
+ */
+const CSV_COLUMNS = [
+    'sesiune', 'data', 'jucator', 'algoritm', 'vector_initial',
+    'actiune', 'tip', 'timp_s', 'indici', 'randuri', 'corect',
+    'pas_asteptat', 'mesaj_asteptat',
+    'mutari_total', 'mutari_corecte', 'mutari_gresite', 'anulari', 'eficienta', 'durata_s'
+];
+
+/**
+ * Extrage greșelile din jurnalul unei sesiuni
+ * @param {Object} session - Sesiunea
+ * @returns {Object[]} - Mutările și confirmările greșite
+ */
+export function getSessionMistakes(session) {
+    return session.moves.filter(entry => entry.correct === false);
+}
+
+/**
+ * Pregătește o sesiune pentru export
+ *
+ * Comparatorii personalizați sunt funcții și nu pot fi salvați; rămâne doar direcția.
+ * @param {Object} session - Sesiunea
+ * @returns {Object} - Sesiunea, cu lista greșelilor (`mistakes`) adăugată
+ */
+export function prepareSession(session) {
+    const { sortOrder, ...options } = session.options || {};
+
+    return {
+        ...session,
+        options,
+        mistakes: getSessionMistakes(session)
+    };
+}
+
+/**
+ * Construiește conținutul fișierului JSON
+ * @param {Object[]} sessions - Sesiunile de exportat
+ * @returns {string}
+ */
+export function sessionsToJSON(sessions) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions: sessions.map(prepareSession)
+    }, null, 2);
+}
+
+/**
+ * Scrie o valoare ca celulă CSV (cu ghilimele când e nevoie)
+ * @param {*} value - Valoarea
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Construiește conținutul fișierului CSV (un rând pentru fiecare acțiune)
+ * @param {Object[]} sessions - Sesiunile de exportat
+ * @returns {string}
+ */
+export function sessionsToCSV(sessions) {
+    const rows = [CSV_COLUMNS];
+
+    sessions.forEach((session, sessionIndex) => {
+        const { stats = {} } = session;
+        const common = (entry) => [
+            sessionIndex + 1,
+            session.startedAt || '',
+            // Când se joacă pe rând, rândul îi aparține jucătorului care a mutat
+            entry?.player || session.nickname || '',
+            session.algorithmName || session.algorithmKey,
+            session.numbers.join(' ')
+        ];
+        const totals = [
+            stats.totalMoves, stats.correctMoves, stats.incorrectMoves,
+            stats.undos, stats.efficiency, stats.duration
+        ];
+
+        // O sesiune fără acțiuni apare totuși în tabel
+        const moves = session.moves.length > 0 ? session.moves : [null];
+
+        moves.forEach((entry, index) => {
+            const action = entry
+                ? [
+                    index + 1,
+                    entry.type,
+                    (entry.elapsed / 1000).toFixed(1),
+                    entry.indices?.join(' ') ?? entry.index ?? '',
+                    entry.rows?.join(' ') ?? entry.row ?? '',
+                    entry.correct === undefined ? '' : (entry.correct ? 'da' : 'nu'),
+                    entry.expected?.indices.join(' ') ?? '',
+                    entry.expected?.message ?? ''
+                ]
+                : new Array(8).fill('');
+
+            rows.push([...common(entry), ...action, ...totals]);
+        });
+    });
+
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Verifică o sesiune importată
+ * @param {Object} session - Sesiunea
+ * @param {number} index - Poziția în fișier (pentru mesajul de eroare)
+ * @throws {Error} - Dacă sesiunea nu poate fi reluată
+ */
+function validateSession(session, index) {
+    const label = `Sesiunea ${index + 1}`;
+
+    if (!session || typeof session !== 'object') {
+        throw new Error(`${label} nu este un obiect valid.`);
+    }
+    if (!ALGORITHMS[session.algorithmKey]) {
+        throw new Error(`${label} folosește un algoritm necunoscut: ${session.algorithmKey}.`);
+    }
+    if (!Array.isArray(session.numbers) || !session.numbers.every(Number.isInteger)) {
+        throw new Error(`${label} nu conține vectorul inițial.`);
+    }
+    if (!Array.isArray(session.moves)) {
+        throw new Error(`${label} nu conține jurnalul mutărilor.`);
+    }
+}
+
+/**
+ * Citește sesiunile dintr-un fișier JSON exportat
+ *
+ * Se acceptă atât fișierul complet, cât și o singură sesiune.
+ * @param {string} text - Conținutul fișierului
+ * @returns {Object[]} - Sesiunile
+ * @throws {Error} - Dacă fișierul nu este valid
+ */
+export function parseSessionsJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Fișierul nu este un JSON valid.');
+    }
+
+    const sessions = Array.isArray(data?.sessions) ? data.sessions : [data];
+    if (sessions.length === 0 || (sessions.length === 1 && !sessions[0]?.algorithmKey)) {
+        throw new Error('Fișierul nu conține nicio sesiune de joc.');
+    }
+
+    sessions.forEach(validateSession);
+    return sessions;
+}
+
+/**
+ * Construiește numele fișierului de export
+ * @param {string} extension - Extensia ('json' sau 'csv')
+ * @returns {string} - De ex. `sesiuni-sortare-2025-03-14.json`
+ */
+export function getExportFilename(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `sesiuni-sortare-${date}.${extension}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * sort-order.js - Ordinea de sortare (comparatorul folosit de algoritmi)
+ *
+ * Toți generatorii de pași și verificarea finală compară elementele doar prin
+ * `compare(a, b)`: un rezultat negativ înseamnă că `a` trebuie să stea înaintea lui `b`.
+ * Pe lângă comparator, o ordine conține și cuvintele folosite în mesajele jocului.
+ */
+
+/**
+ * Direcțiile de sortare predefinite
+ */
+export const SORT_DIRECTIONS = {
+    ASC: 'asc',     // Crescător
+    DESC: 'desc'    // Descrescător
+};
+
+/**
+ * Ordinile predefinite
+ */
+export const SORT_ORDERS = {
+    asc: {
+        key: SORT_DIRECTIONS.ASC,
+        name: 'crescător',
+        compare: (a, b) => a - b,
+        before: 'mai mic',      // Ce trebuie să ajungă mai în față
+        after: 'mai mare',      // Ce trebuie să ajungă mai în spate
+        inOrder: '≤',           // Relația dintre doi vecini în ordine
+        reversed: '≥',
+        precedes: '<',          // Relația strictă folosită în pseudocod
+        follows: '>',
+        first: 'minimul',       // Elementul care ajunge pe prima poziție
+        last: 'maximul',        // Elementul care ajunge pe ultima poziție
+        frontZone: 'mică',      // Zonele partiției din Quick Sort
+        backZone: 'mare',
+        heapName: 'max-heap'
+    },
+    desc: {
+        key: SORT_DIRECTIONS.DESC,
+        name: 'descrescător',
+        compare: (a, b) => b - a,
+        before: 'mai mare',
+        after: 'mai mic',
+        inOrder: '≥',
+        reversed: '≤',
+        precedes: '>',
+        follows: '<',
+        first: 'maximul',
+        last: 'minimul',
+        frontZone: 'mare',
+        backZone: 'mică',
+        heapName: 'min-heap'
+    }
+};
+
+/**
+ * Creează o ordine pornind de la un comparator oarecare
+ * @param {Function} compare - `(a, b) => number`, negativ dacă `a` vine înaintea lui `b`
+ * @param {Object} labels - Cuvintele pentru mesaje (implicit cele ale ordinii crescătoare)
+ * @returns {Object} - Ordinea, utilizabilă ca `options.sortOrder`
+ */
+export function createSortOrder(compare, labels = {}) {
+    if (typeof compare !== 'function') {
+        throw new Error('Comparatorul trebuie să fie o funcție (a, b) => număr.');
+    }
+
+    return {
+        ...SORT_ORDERS.asc,
+        key: 'custom',
+        name: 'personalizat',
+        ...labels,
+        compare
+    };
+}
+
+/**
+ * Alege ordinea de sortare din opțiunile jocului
+ * @param {Object} options - `sortOrder` (o ordine completă) sau `direction` ('asc'/'desc')
+ * @returns {Object} - Ordinea de sortare
+ */
+export function resolveSortOrder(options = {}) {
+    if (options.sortOrder) {
+        return options.sortOrder;
+    }
+    return SORT_ORDERS[options.direction] || SORT_ORDERS.asc;
+}
+
+/**
+ * Verifică dacă un vector respectă o ordine de sortare
+ * @param {number[]} numbers - Vectorul
+ * @param {Object} order - Ordinea de sortare
+ * @returns {boolean}
+ */
+export function isSortedBy(numbers, order = SORT_ORDERS.asc) {
+    return numbers.every((value, index) =>
+        index === 0 || order.compare(numbers[index - 1], value) <= 0
+    );
+}
@@ -8,43 +8,163 @@
  * - Actualizarea display-ului
  */
 
+import { ROWS } from './algorithms.js';
+
+/**
+ * Modurile de afișare a vectorului
+ */
+export const VIEW_MODES = {
+    CARDS: 'cards', // Carduri cu numere
+    BARS: 'bars'    // Bare cu înălțimea proporțională cu valoarea
+};
+
+/**
+ * Durata alunecării barelor la o interschimbare (ms)
+ */
+const BAR_SLIDE_DURATION = 450;
+
+/**
+ * Culorile algoritmilor în graficul de complexitate
+ */
+const CHART_COLORS = {
+    bubble: '#FF3B30',
+    selection: '#FF9500',
+    insertion: '#34C759',
+    quick: '#007AFF',
+    merge: '#AF52DE',
+    heap: '#5AC8FA'
+};
+
 /**
  * Clasa pentru gestionarea UI-ului
  */
 export class UIManager {
     constructor() {
+        this.root = null;
         this.elements = {};
         this.toastTimeout = null;
+        this.assignmentHint = '';
+        this.expectedMoveHint = '';
+        this.paused = false;
+        this.viewMode = VIEW_MODES.CARDS;
+        this.barScale = 1;
     }
 
     /**
      * Inițializează referințele la elementele DOM
+     *
+     * Elementele se caută în interiorul lui `root`, după `id` sau după atributul
+     * `data-ui`, astfel încât mai multe table de joc pot coexista pe aceeași pagină.
+     * @param {Document|HTMLElement} root - Containerul interfeței (implicit toată pagina)
      */
-    init() {
+    init(root = document) {
+        const find = (name) => root.querySelector(`#${name}, [data-ui="${name}"]`);
+
+        this.root = root;
         this.elements = {
-            algorithmTitle: document.getElementById('algorithmTitle'),
-            appTitle: document.getElementById('appTitle'),
-            statusMessage: document.getElementById('statusMessage'),
-            numbersContainer: document.getElementById('numbersContainer'),
-            startBtn: document.getElementById('startBtn'),
-            checkBtn: document.getElementById('checkBtn'),
-            resetBtn: document.getElementById('resetBtn'),
-            algorithmDesc: document.getElementById('algorithmDesc'),
-            algorithmRules: document.getElementById('algorithmRules'),
-            moveCount: document.getElementById('moveCount'),
-            correctMoves: document.getElementById('correctMoves'),
-            efficiency: document.getElementById('efficiency'),
-            progressFill: document.getElementById('progressFill'),
-            progressText: document.getElementById('progressText'),
-            expectedMove: document.getElementById('expectedMove'),
-            expectedMoveText: document.getElementById('expectedMoveText'),
-            successModal: document.getElementById('successModal'),
-            modalAlgorithm: document.getElementById('modalAlgorithm'),
-            modalMoves: document.getElementById('modalMoves'),
-            modalEfficiency: document.getElementById('modalEfficiency'),
-            modalTime: document.getElementById('modalTime'),
-            methodButtons: document.querySelectorAll('.method-btn')
+            algorithmTitle: find('algorithmTitle'),
+            appTitle: find('appTitle'),
+            turnIndicator: find('turnIndicator'),
+            statusMessage: find('statusMessage'),
+            numbersContainer: find('numbersContainer'),
+            startBtn: find('startBtn'),
+            checkBtn: find('checkBtn'),
+            resetBtn: find('resetBtn'),
+            skipBtn: find('skipBtn'),
+            undoBtn: find('undoBtn'),
+            redoBtn: find('redoBtn'),
+            strictMode: find('strictMode'),
+            showHints: find('showHints'),
+            algorithmDesc: find('algorithmDesc'),
+            algorithmRules: find('algorithmRules'),
+            pseudocodeSection: find('pseudocodeSection'),
+            pseudocode: find('pseudocode'),
+            pseudocodeVars: find('pseudocodeVars'),
+            moveCount: find('moveCount'),
+            correctMoves: find('correctMoves'),
+            efficiency: find('efficiency'),
+            undoCount: find('undoCount'),
+            timer: find('timer'),
+            pauseBtn: find('pauseBtn'),
+            demoBtn: find('demoBtn'),
+            pauseOverlay: find('pauseOverlay'),
+            progressFill: find('progressFill'),
+            passCounter: find('passCounter'),
+            progressText: find('progressText'),
+            opponentProgress: find('opponentProgress'),
+            opponentName: find('opponentName'),
+            opponentProgressText: find('opponentProgressText'),
+            opponentProgressFill: find('opponentProgressFill'),
+            duelServer: find('duelServer'),
+            duelRoom: find('duelRoom'),
+            duelJoinBtn: find('duelJoinBtn'),
+            duelLeaveBtn: find('duelLeaveBtn'),
+            duelStatus: find('duelStatus'),
+            assignmentTitle: find('assignmentTitle'),
+            assignmentProgress: find('assignmentProgress'),
+            assignmentExercise: find('assignmentExercise'),
+            assignmentTime: find('assignmentTime'),
+            loadAssignmentBtn: find('loadAssignmentBtn'),
+            assignmentInput: find('assignmentInput'),
+            assignmentControls: find('assignmentControls'),
+            assignmentNextBtn: find('assignmentNextBtn'),
+            assignmentSkipBtn: find('assignmentSkipBtn'),
+            assignmentEndControls: find('assignmentEndControls'),
+            assignmentReportBtn: find('assignmentReportBtn'),
+            assignmentCloseBtn: find('assignmentCloseBtn'),
+            assignmentStatus: find('assignmentStatus'),
+            expectedMove: find('expectedMove'),
+            expectedMoveText: find('expectedMoveText'),
+            successModal: find('successModal'),
+            modalAlgorithm: find('modalAlgorithm'),
+            modalMoves: find('modalMoves'),
+            modalEfficiency: find('modalEfficiency'),
+            modalTime: find('modalTime'),
+            modalStability: find('modalStability'),
+            modalRecord: find('modalRecord'),
+            modalCampaign: find('modalCampaign'),
+            modalComplexity: find('modalComplexity'),
+            complexitySummary: find('complexitySummary'),
+            complexityTable: find('complexityTable'),
+            complexityChart: find('complexityChart'),
+            modalIntro: find('modalIntro'),
+            modalStats: find('modalStats'),
+            modalPlayers: find('modalPlayers'),
+            modalPlayersTitle: find('modalPlayersTitle'),
+            modalPlayersTable: find('modalPlayersTable'),
+            nicknameInput: find('nicknameInput'),
+            hotSeatMode: find('hotSeatMode'),
+            hotSeatPlayers: find('hotSeatPlayers'),
+            hotSeatPlayersRow: find('hotSeatPlayersRow'),
+            replayPanel: find('replayPanel'),
+            replayTitle: find('replayTitle'),
+            replayBackBtn: find('replayBackBtn'),
+            replayProgress: find('replayProgress'),
+            replayPlayBtn: find('replayPlayBtn'),
+            replayStepBtn: find('replayStepBtn'),
+            replaySpeed: find('replaySpeed'),
+            replaySpeedValue: find('replaySpeedValue'),
+            heapTree: find('heapTree'),
+            partitionScheme: find('partitionScheme'),
+            partitionSchemeRow: find('partitionSchemeRow'),
+            sortDirection: find('sortDirection'),
+            viewMode: find('viewMode'),
+            difficultySelect: find('difficultySelect'),
+            customDifficulty: find('customDifficulty'),
+            customLength: find('customLength'),
+            customMin: find('customMin'),
+            customMax: find('customMax'),
+            customDuplicates: find('customDuplicates'),
+            customOrder: find('customOrder'),
+            puzzleCode: find('puzzleCode'),
+            puzzleCodeInput: find('puzzleCodeInput'),
+            customArrayInput: find('customArrayInput'),
+            customArrayAlgorithm: find('customArrayAlgorithm'),
+            methodButtons: root.querySelectorAll('.method-btn')
         };
+
+        // Textul inițial al panoului temei, afișat din nou când tema se închide
+        this.assignmentHint = this.elements.assignmentStatus?.textContent || '';
     }
 
     /**
@@ -72,10 +192,257 @@ export class UIManager {
                 .join('');
         }
 
+        this.setPseudocode(algorithm.pseudocode);
+
         // Actualizează butoanele de metodă
         this.elements.methodButtons?.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.method === algorithm.key);
         });
+
+        // Alegerea schemei de partiționare are sens doar pentru Quick Sort
+        if (this.elements.partitionSchemeRow) {
+            this.elements.partitionSchemeRow.style.display =
+                algorithm.key === 'quick' ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Citește schema de partiționare aleasă pentru Quick Sort
+     * @returns {string} - 'lomuto' sau 'hoare'
+     */
+    getPartitionScheme() {
+        return this.elements.partitionScheme?.value || 'lomuto';
+    }
+
+    /**
+     * Selectează schema de partiționare în interfață
+     * @param {string} scheme - 'lomuto' sau 'hoare'
+     */
+    setPartitionScheme(scheme) {
+        if (this.elements.partitionScheme) {
+            this.elements.partitionScheme.value = scheme;
+        }
+    }
+
+    /**
+     * Citește porecla introdusă de jucător
+     * @returns {string}
+     */
+    getNicknameInput() {
+        return this.elements.nicknameInput?.value.trim() || '';
+    }
+
+    /**
+     * Afișează porecla jucătorului
+     * @param {string} nickname - Porecla
+     */
+    setNicknameInput(nickname) {
+        if (this.elements.nicknameInput) {
+            this.elements.nicknameInput.value = nickname;
+        }
+    }
+
+    /**
+     * Citește setările jocului pe rând
+     * @returns {Object} - `{ enabled, names }` (`names` e textul introdus, nevalidat)
+     */
+    getHotSeatSettings() {
+        return {
+            enabled: Boolean(this.elements.hotSeatMode?.checked),
+            names: this.elements.hotSeatPlayers?.value.trim() || ''
+        };
+    }
+
+    /**
+     * Afișează/ascunde câmpul cu numele jucătorilor
+     * @param {boolean} visible
+     */
+    toggleHotSeatPlayers(visible) {
+        if (this.elements.hotSeatPlayersRow) {
+            this.elements.hotSeatPlayersRow.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Afișează în header jucătorii și pe cel aflat la rând
+     * @param {Object[]} players - `{ name, correctMoves }` pentru fiecare jucător (gol = un singur jucător)
+     * @param {string|null} currentPlayer - Numele jucătorului de la rând (null = jocul s-a terminat)
+     */
+    setTurnIndicator(players = [], currentPlayer = null) {
+        const element = this.elements.turnIndicator;
+        if (!element) return;
+
+        element.innerHTML = '';
+        element.style.display = players.length > 0 ? 'flex' : 'none';
+
+        players.forEach(player => {
+            const chip = document.createElement('span');
+            chip.className = 'turn-player';
+            chip.classList.toggle('current', player.name === currentPlayer);
+            chip.textContent = `${player.name} · ${player.correctMoves}`;
+            chip.title = `${player.correctMoves} mutări corecte, ${player.incorrectMoves} greșite`;
+            element.appendChild(chip);
+        });
+    }
+
+    /**
+     * Obține ordinea de sortare aleasă
+     * @returns {string} - 'asc' sau 'desc'
+     */
+    getSortDirection() {
+        return this.elements.sortDirection?.value || 'asc';
+    }
+
+    /**
+     * Selectează ordinea de sortare în interfață
+     * @param {string} direction - 'asc' sau 'desc'
+     */
+    setSortDirection(direction) {
+        if (this.elements.sortDirection) {
+            this.elements.sortDirection.value = direction;
+        }
+    }
+
+    /**
+     * Citește modul de afișare ales
+     * @returns {string} - Vezi VIEW_MODES
+     */
+    getViewMode() {
+        return this.elements.viewMode?.value || VIEW_MODES.CARDS;
+    }
+
+    /**
+     * Schimbă modul de afișare a vectorului
+     *
+     * Barele sunt aceleași elemente ca și cardurile, deci selecția, indicațiile
+     * și evidențierile funcționează la fel în ambele moduri.
+     * @param {string} mode - Vezi VIEW_MODES
+     */
+    setViewMode(mode) {
+        this.viewMode = mode === VIEW_MODES.BARS ? VIEW_MODES.BARS : VIEW_MODES.CARDS;
+        this.elements.numbersContainer?.classList.toggle('bar-view', this.viewMode === VIEW_MODES.BARS);
+    }
+
+    /**
+     * Citește dificultatea aleasă în panoul de setări
+     * @returns {Object} - `{ difficulty, customDifficulty }`
+     */
+    getDifficultySettings() {
+        const difficulty = this.elements.difficultySelect?.value || 'medium';
+        if (difficulty !== 'custom') {
+            return { difficulty, customDifficulty: null };
+        }
+
+        return {
+            difficulty,
+            customDifficulty: {
+                length: Number(this.elements.customLength?.value),
+                minValue: Number(this.elements.customMin?.value),
+                maxValue: Number(this.elements.customMax?.value),
+                duplicates: Boolean(this.elements.customDuplicates?.checked),
+                order: this.elements.customOrder?.value || 'random'
+            }
+        };
+    }
+
+    /**
+     * Afișează în panoul de setări o dificultate (ex. dintr-un cod de puzzle)
+     * @param {Object} settings - `{ difficulty, customDifficulty }`
+     */
+    setDifficultySettings({ difficulty, customDifficulty }) {
+        if (this.elements.difficultySelect) {
+            this.elements.difficultySelect.value = difficulty;
+        }
+
+        if (customDifficulty) {
+            const { length, minValue, maxValue, duplicates, order } = customDifficulty;
+            if (this.elements.customLength) this.elements.customLength.value = length;
+            if (this.elements.customMin) this.elements.customMin.value = minValue;
+            if (this.elements.customMax) this.elements.customMax.value = maxValue;
+            if (this.elements.customDuplicates) this.elements.customDuplicates.checked = duplicates;
+            if (this.elements.customOrder) this.elements.customOrder.value = order;
+        }
+
+        this.toggleCustomDifficulty(difficulty === 'custom');
+    }
+
+    /**
+     * Afișează/ascunde câmpurile dificultății personalizate
+     * @param {boolean} visible
+     */
+    toggleCustomDifficulty(visible) {
+        if (this.elements.customDifficulty) {
+            this.elements.customDifficulty.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Afișează codul puzzle-ului curent
+     * @param {string|null} code - Codul puzzle-ului
+     */
+    setPuzzleCode(code) {
+        if (this.elements.puzzleCode) {
+            this.elements.puzzleCode.textContent = code || '—';
+        }
+    }
+
+    /**
+     * Citește codul de puzzle introdus de jucător
+     * @returns {string}
+     */
+    getPuzzleCodeInput() {
+        return this.elements.puzzleCodeInput?.value.trim() || '';
+    }
+
+    /**
+     * Citește vectorul introdus de profesor și metoda aleasă pentru el
+     * @returns {Object} - `{ text, algorithmKey }` (`algorithmKey` null = aleatorie)
+     */
+    getCustomArrayInput() {
+        return {
+            text: this.elements.customArrayInput?.value.trim() || '',
+            algorithmKey: this.elements.customArrayAlgorithm?.value || null
+        };
+    }
+
+    /**
+     * Completează formularul vectorului propriu (ex. dintr-un cod de puzzle)
+     * @param {number[]} numbers - Vectorul
+     * @param {string} algorithmKey - Cheia algoritmului
+     */
+    setCustomArrayInput(numbers, algorithmKey) {
+        if (this.elements.customArrayInput) {
+            this.elements.customArrayInput.value = numbers.join(', ');
+        }
+        if (this.elements.customArrayAlgorithm) {
+            this.elements.customArrayAlgorithm.value = algorithmKey || '';
+        }
+    }
+
+    /**
+     * Verifică dacă modul strict (cu confirmarea comparațiilor) e activat
+     * @returns {boolean}
+     */
+    isStrictMode() {
+        return Boolean(this.elements.strictMode?.checked);
+    }
+
+    /**
+     * Verifică dacă jucătorul vrea să vadă indicația pentru mutarea următoare
+     * @returns {boolean}
+     */
+    areHintsEnabled() {
+        return this.elements.showHints ? this.elements.showHints.checked : true;
+    }
+
+    /**
+     * Afișează sau ascunde butonul „Nicio schimbare”
+     * @param {boolean} enabled - Dacă modul strict e activ
+     */
+    setStrictMode(enabled) {
+        if (this.elements.skipBtn) {
+            this.elements.skipBtn.style.display = enabled ? 'inline-block' : 'none';
+        }
     }
 
     /**
@@ -90,55 +457,130 @@ export class UIManager {
         }
     }
 
+    /**
+     * Obține cardurile unui rând
+     * @param {string} row - Rândul ('main' sau 'buffer')
+     * @returns {NodeList|undefined}
+     */
+    getCards(row = ROWS.MAIN) {
+        return this.elements.numbersContainer?.querySelectorAll(`.numbers-row[data-row="${row}"] .number-card`);
+    }
+
+    /**
+     * Creează un rând de carduri
+     * @param {Array<number|null>} values - Valorile de afișat (null = poziție goală)
+     * @param {string} row - Rândul ('main' sau 'buffer')
+     * @param {Function} onClickCallback - Funcția apelată la click
+     * @param {Array<Object|null>} tags - Etichetele elementelor cu valori repetate
+     * @returns {HTMLElement}
+     */
+    createCardRow(values, row, onClickCallback, tags = []) {
+        const rowElement = document.createElement('div');
+        rowElement.className = `numbers-row ${row}-row`;
+        rowElement.dataset.row = row;
+        rowElement.classList.toggle('compact', values.length > 7);
+
+        values.forEach((value, index) => {
+            const card = document.createElement('div');
+            card.className = row === ROWS.BUFFER ? 'number-card buffer-card' : 'number-card';
+            card.dataset.index = index;
+            this.setCardValue(card, value, tags[index]);
+
+            card.addEventListener('click', () => onClickCallback(index));
+
+            rowElement.appendChild(card);
+        });
+
+        return rowElement;
+    }
+
+    /**
+     * Setează valoarea afișată pe un card
+     * @param {HTMLElement} card - Cardul
+     * @param {number|null} value - Valoarea (null = poziție goală)
+     * @param {Object|null} tag - Eticheta elementului (pentru valori repetate)
+     */
+    setCardValue(card, value, tag = null) {
+        const isEmpty = value === null || value === undefined;
+        card.textContent = isEmpty ? '' : value;
+        card.dataset.value = isEmpty ? '' : value;
+        card.classList.toggle('empty', isEmpty);
+        card.style.setProperty('--bar-ratio', isEmpty ? 0 : value / this.barScale);
+
+        if (!isEmpty && tag) {
+            const tagElement = document.createElement('span');
+            tagElement.className = `card-tag tag-${tag.occurrence % 4}`;
+            tagElement.textContent = tag.label;
+            card.appendChild(tagElement);
+        }
+    }
+
     /**
      * Generează cardurile pentru numere
      * @param {number[]} numbers - Array-ul de numere
      * @param {Function} onClickCallback - Funcția apelată la click
+     * @param {Array<Object|null>} tags - Etichetele elementelor
      */
-    renderNumbers(numbers, onClickCallback) {
+    renderNumbers(numbers, onClickCallback, tags = []) {
         const container = this.elements.numbersContainer;
         if (!container) return;
 
-        container.innerHTML = '';
+        // Cea mai mare valoare dă înălțimea maximă a barelor; bufferul primește
+        // doar copii ale valorilor din vector, deci scara rămâne aceeași tot jocul
+        this.barScale = Math.max(1, ...numbers.filter(value => value !== null && value !== undefined));
 
-        numbers.forEach((number, index) => {
-            const card = document.createElement('div');
-            card.className = 'number-card';
-            card.textContent = number;
-            card.dataset.value = number;
-            card.dataset.index = index;
+        container.innerHTML = '';
+        container.classList.remove('with-buffer');
+        container.appendChild(this.createCardRow(numbers, ROWS.MAIN, onClickCallback, tags));
+    }
 
-            card.addEventListener('click', () => onClickCallback(index));
+    /**
+     * Adaugă sub vector rândul bufferului auxiliar
+     * @param {Array<number|null>} buffer - Conținutul bufferului
+     * @param {Function} onClickCallback - Funcția apelată la click
+     * @param {Array<Object|null>} tags - Etichetele elementelor din buffer
+     */
+    renderBuffer(buffer, onClickCallback, tags = []) {
+        const container = this.elements.numbersContainer;
+        if (!container) return;
 
-            container.appendChild(card);
-        });
+        container.querySelector(`.numbers-row[data-row="${ROWS.BUFFER}"]`)?.remove();
+        container.classList.add('with-buffer');
+        container.appendChild(this.createCardRow(buffer, ROWS.BUFFER, onClickCallback, tags));
     }
 
     /**
      * Actualizează afișarea numerelor fără a le regenera
      * @param {number[]} numbers - Array-ul actualizat
+     * @param {Array<Object|null>} tags - Etichetele elementelor
      */
-    updateNumbers(numbers) {
-        const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
+    updateNumbers(numbers, tags = []) {
+        const cards = this.getCards();
         if (!cards) return;
 
-        cards.forEach((card, index) => {
-            card.textContent = numbers[index];
-            card.dataset.value = numbers[index];
-        });
+        cards.forEach((card, index) => this.setCardValue(card, numbers[index], tags[index]));
     }
 
     /**
-     * Selectează vizual un card
-     * @param {number} index - Indexul cardului
+     * Actualizează afișarea bufferului
+     * @param {Array<number|null>} buffer - Conținutul bufferului
+     * @param {Array<Object|null>} tags - Etichetele elementelor din buffer
      */
-    selectCard(index) {
-        const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
+    updateBuffer(buffer, tags = []) {
+        const cards = this.getCards(ROWS.BUFFER);
         if (!cards) return;
 
-        cards.forEach((card, i) => {
-            card.classList.toggle('selected', i === index);
-        });
+        cards.forEach((card, index) => this.setCardValue(card, buffer[index], tags[index]));
+    }
+
+    /**
+     * Selectează vizual un card
+     * @param {number} index - Indexul cardului
+     * @param {string} row - Rândul cardului
+     */
+    selectCard(index, row = ROWS.MAIN) {
+        this.deselectAllCards();
+        this.getCards(row)?.[index]?.classList.add('selected');
     }
 
     /**
@@ -153,11 +595,12 @@ export class UIManager {
      * Animează un swap corect
      * @param {number[]} indices - Indicii elementelor schimbate
      * @param {number[]} newNumbers - Numerele actualizate
+     * @param {Array<Object|null>} newTags - Etichetele actualizate
      * @returns {Promise}
      */
-    animateCorrectSwap(indices, newNumbers) {
+    animateCorrectSwap(indices, newNumbers, newTags = []) {
         return new Promise(resolve => {
-            const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
+            const cards = this.getCards();
             if (!cards) {
                 resolve();
                 return;
@@ -167,20 +610,24 @@ export class UIManager {
             const card1 = cards[idx1];
             const card2 = cards[idx2];
 
+            if (this.viewMode === VIEW_MODES.BARS && card1 && card2) {
+                this.slideBars(card1, card2).then(() => {
+                    this.setCardValue(card1, newNumbers[idx1], newTags[idx1]);
+                    this.setCardValue(card2, newNumbers[idx2], newTags[idx2]);
+                    [card1, card2].forEach(card => card.classList.remove('correct-move', 'selected'));
+                    resolve();
+                });
+                return;
+            }
+
             // Adaugă clasa de animație
             card1?.classList.add('correct-move', 'swapping');
             card2?.classList.add('correct-move', 'swapping');
 
             setTimeout(() => {
-                // Actualizează valorile
-                if (card1) {
-                    card1.textContent = newNumbers[idx1];
-                    card1.dataset.value = newNumbers[idx1];
-                }
-                if (card2) {
-                    card2.textContent = newNumbers[idx2];
-                    card2.dataset.value = newNumbers[idx2];
-                }
+                // Actualizează valorile (eticheta se mută odată cu elementul)
+                if (card1) this.setCardValue(card1, newNumbers[idx1], newTags[idx1]);
+                if (card2) this.setCardValue(card2, newNumbers[idx2], newTags[idx2]);
 
                 setTimeout(() => {
                     card1?.classList.remove('correct-move', 'swapping', 'selected');
@@ -191,27 +638,102 @@ export class UIManager {
         });
     }
 
+    /**
+     * Alunecă două bare una pe lângă cealaltă, până la locul celeilalte
+     *
+     * La final barele revin instantaneu în poziția lor; apelantul le schimbă
+     * apoi valorile, astfel încât ochiul vede doar mutarea.
+     * @param {HTMLElement} card1 - Prima bară
+     * @param {HTMLElement} card2 - A doua bară
+     * @returns {Promise}
+     */
+    slideBars(card1, card2) {
+        return new Promise(resolve => {
+            const distance = card2.getBoundingClientRect().left - card1.getBoundingClientRect().left;
+
+            [card1, card2].forEach(card => card.classList.add('correct-move', 'sliding'));
+            card1.style.transform = `translateX(${distance}px)`;
+            card2.style.transform = `translateX(${-distance}px)`;
+
+            setTimeout(() => {
+                [card1, card2].forEach(card => {
+                    card.style.transition = 'none';
+                    card.style.transform = '';
+                    card.classList.remove('sliding');
+                });
+
+                // Forțează aplicarea poziției fără tranziție înainte de a o reactiva
+                void card1.offsetWidth;
+                [card1, card2].forEach(card => {
+                    card.style.transition = '';
+                });
+                resolve();
+            }, BAR_SLIDE_DURATION);
+        });
+    }
+
+    /**
+     * Animează copierea/scrierea unei valori între vector și buffer
+     * @param {Object} step - Pasul executat (cu `source` și `target`)
+     * @param {number[]} newNumbers - Numerele actualizate
+     * @param {Array<number|null>} newBuffer - Bufferul actualizat
+     * @param {Object} tags - Etichetele actualizate, `{ main, buffer }`
+     * @returns {Promise}
+     */
+    animateTransfer(step, newNumbers, newBuffer, tags = {}) {
+        return new Promise(resolve => {
+            const source = this.getCards(step.source.row)?.[step.source.index];
+            const target = this.getCards(step.target.row)?.[step.target.index];
+
+            source?.classList.add('transfer-source');
+            target?.classList.add('correct-move', 'swapping');
+
+            setTimeout(() => {
+                this.updateNumbers(newNumbers, tags.main);
+                this.updateBuffer(newBuffer, tags.buffer);
+
+                setTimeout(() => {
+                    source?.classList.remove('transfer-source', 'selected');
+                    target?.classList.remove('correct-move', 'swapping', 'selected');
+                    resolve();
+                }, 300);
+            }, 300);
+        });
+    }
+
+    /**
+     * Animează o comparație confirmată fără schimbare
+     * @param {number[]} indices - Indicii elementelor comparate
+     * @returns {Promise}
+     */
+    animateComparison(indices) {
+        return new Promise(resolve => {
+            const cards = this.getCards();
+            const compared = [...new Set(indices)].map(idx => cards?.[idx]);
+
+            compared.forEach(card => card?.classList.add('compared'));
+
+            setTimeout(() => {
+                compared.forEach(card => card?.classList.remove('compared', 'selected'));
+                resolve();
+            }, 500);
+        });
+    }
+
     /**
      * Animează o mutare greșită (shake)
      * @param {number[]} indices - Indicii elementelor
+     * @param {string[]} rows - Rândul fiecărui index (implicit vectorul)
      * @returns {Promise}
      */
-    animateIncorrectMove(indices) {
+    animateIncorrectMove(indices = [], rows = []) {
         return new Promise(resolve => {
-            const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
-            if (!cards) {
-                resolve();
-                return;
-            }
+            const cards = indices.map((idx, i) => this.getCards(rows[i] || ROWS.MAIN)?.[idx]);
 
-            indices.forEach(idx => {
-                cards[idx]?.classList.add('incorrect-move');
-            });
+            cards.forEach(card => card?.classList.add('incorrect-move'));
 
             setTimeout(() => {
-                indices.forEach(idx => {
-                    cards[idx]?.classList.remove('incorrect-move', 'selected');
-                });
+                cards.forEach(card => card?.classList.remove('incorrect-move', 'selected'));
                 resolve();
             }, 600);
         });
@@ -220,14 +742,14 @@ export class UIManager {
     /**
      * Evidențiază elementele așteptate
      * @param {number[]} indices - Indicii de evidențiat
+     * @param {string[]} rows - Rândul fiecărui index (implicit vectorul)
      */
-    highlightExpected(indices) {
-        const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
-        if (!cards) return;
+    highlightExpected(indices, rows = []) {
+        const cards = indices
+            .map((idx, i) => this.getCards(rows[i] || ROWS.MAIN)?.[idx])
+            .filter(Boolean);
 
-        cards.forEach((card, idx) => {
-            card.classList.toggle('hint', indices.includes(idx));
-        });
+        cards.forEach(card => card.classList.add('hint'));
 
         // Elimină highlight-ul după 2 secunde
         setTimeout(() => {
@@ -235,17 +757,191 @@ export class UIManager {
         }, 2000);
     }
 
+    /**
+     * Evidențiază partiția activă (subvectorul curent și pivotul)
+     * @param {Object|null} step - Pasul curent; fără `range` elimină evidențierea
+     */
+    highlightPartition(step) {
+        const cards = this.getCards();
+        if (!cards) return;
+
+        const range = step?.range;
+
+        cards.forEach((card, idx) => {
+            const inRange = range ? idx >= range[0] && idx <= range[1] : false;
+            card.classList.toggle('in-partition', inRange);
+            card.classList.toggle('out-of-partition', Boolean(range) && !inRange);
+            card.classList.toggle('pivot', Boolean(range) && idx === step.pivotIndex);
+        });
+    }
+
+    /**
+     * Desenează vectorul ca arbore binar (pentru Metoda Heap)
+     * @param {number[]} numbers - Array-ul curent
+     * @param {Object|null} step - Pasul curent (pentru perechea comparată și dimensiunea heap-ului)
+     * @param {Function} onClickCallback - Funcția apelată la click pe un nod
+     */
+    renderHeapTree(numbers, step, onClickCallback) {
+        const container = this.elements.heapTree;
+        if (!container) return;
+
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const width = 480;
+        const levelHeight = 70;
+        const radius = 20;
+        const depth = Math.floor(Math.log2(Math.max(numbers.length, 1)));
+        const heapSize = step ? step.heapSize : 0;
+        const compared = step?.compared || [];
+
+        // Poziția nodului i: nivelul dă înălțimea, poziția în nivel dă abscisa
+        const position = (i) => {
+            const level = Math.floor(Math.log2(i + 1));
+            const offset = i - (2 ** level - 1);
+            return {
+                x: ((offset + 0.5) / 2 ** level) * width,
+                y: radius + 10 + level * levelHeight
+            };
+        };
+
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${(depth + 1) * levelHeight}`);
+        svg.setAttribute('class', 'heap-tree-svg');
+
+        // Muchiile se desenează primele, ca să rămână sub noduri
+        for (let i = 1; i < numbers.length; i++) {
+            const parent = Math.floor((i - 1) / 2);
+            const from = position(parent);
+            const to = position(i);
+            const edge = document.createElementNS(svgNs, 'line');
+            edge.setAttribute('x1', from.x);
+            edge.setAttribute('y1', from.y);
+            edge.setAttribute('x2', to.x);
+            edge.setAttribute('y2', to.y);
+            edge.classList.add('heap-edge');
+            edge.classList.toggle('compared', compared.includes(parent) && compared.includes(i));
+            edge.classList.toggle('outside', i >= heapSize);
+            svg.appendChild(edge);
+        }
+
+        numbers.forEach((value, i) => {
+            const { x, y } = position(i);
+            const node = document.createElementNS(svgNs, 'g');
+            node.classList.add('heap-node');
+            node.classList.toggle('compared', compared.includes(i));
+            node.classList.toggle('sorted', i >= heapSize);
+
+            const circle = document.createElementNS(svgNs, 'circle');
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+            circle.setAttribute('r', radius);
+
+            const label = document.createElementNS(svgNs, 'text');
+            label.setAttribute('x', x);
+            label.setAttribute('y', y);
+            label.textContent = value;
+
+            node.append(circle, label);
+            node.addEventListener('click', () => onClickCallback(i));
+            svg.appendChild(node);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Afișează pseudocodul algoritmului
+     * @param {string[]} lines - Liniile pseudocodului (fără pseudocod, secțiunea se ascunde)
+     */
+    setPseudocode(lines = []) {
+        const { pseudocode, pseudocodeSection, pseudocodeVars } = this.elements;
+        if (!pseudocode) return;
+
+        pseudocode.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            pseudocode.appendChild(item);
+        });
+
+        if (pseudocodeVars) {
+            pseudocodeVars.textContent = '';
+        }
+        if (pseudocodeSection) {
+            pseudocodeSection.style.display = lines.length > 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Evidențiază liniile de pseudocod ale pasului curent și valorile variabilelor
+     * @param {Object|null} step - Pasul curent (`lines`, `vars`); null la finalul jocului
+     */
+    highlightPseudocode(step) {
+        const { pseudocode, pseudocodeVars } = this.elements;
+        if (!pseudocode) return;
+
+        const lines = step?.lines || [];
+        Array.from(pseudocode.children).forEach((item, index) => {
+            item.classList.toggle('active', lines.includes(index + 1));
+        });
+
+        if (pseudocodeVars) {
+            pseudocodeVars.textContent = Object.entries(step?.vars || {})
+                .map(([name, value]) => `${name} = ${value}`)
+                .join('   ');
+        }
+    }
+
+    /**
+     * Ascunde arborele heap-ului
+     */
+    hideHeapTree() {
+        if (this.elements.heapTree) {
+            this.elements.heapTree.innerHTML = '';
+            this.elements.heapTree.style.display = 'none';
+        }
+    }
+
     /**
      * Marchează elementele ca sortate
-     * @param {number} upToIndex - Până la ce index sunt sortate
+     * @param {number} upToIndex - Până la ce index sunt sortate (exclusiv)
+     * @param {number} fromIndex - De la ce index sunt sortate
      */
-    markSorted(upToIndex) {
-        const cards = this.elements.numbersContainer?.querySelectorAll('.number-card');
+    markSorted(upToIndex, fromIndex = 0) {
+        const cards = this.getCards();
         if (!cards) return;
 
         cards.forEach((card, idx) => {
-            card.classList.toggle('sorted', idx < upToIndex);
+            card.classList.toggle('sorted', idx >= fromIndex && idx < upToIndex);
+        });
+    }
+
+    /**
+     * Afișează zona sortată, trecerea curentă și elementul urmărit
+     * @param {Object|null} region - Rezultatul `getSortedRegion()` (null ascunde tot)
+     */
+    showSortedRegion(region) {
+        const cards = this.getCards() || [];
+        const [fromIndex, upToIndex] = region?.sorted || [0, 0];
+
+        this.markSorted(upToIndex, fromIndex);
+
+        cards.forEach((card, idx) => {
+            const isFocus = region?.focus?.index === idx;
+            card.classList.toggle('focus', isFocus);
+            if (isFocus) {
+                card.dataset.marker = region.focus.label;
+            } else {
+                delete card.dataset.marker;
+            }
         });
+
+        if (this.elements.passCounter) {
+            this.elements.passCounter.textContent = region
+                ? `· Trecerea ${region.pass} / ${region.totalPasses}`
+                : '';
+        }
     }
 
     /**
@@ -262,6 +958,39 @@ export class UIManager {
         if (this.elements.efficiency) {
             this.elements.efficiency.textContent = `${stats.efficiency}%`;
         }
+        if (this.elements.undoCount) {
+            this.elements.undoCount.textContent = stats.undos ?? 0;
+        }
+    }
+
+    /**
+     * Actualizează cronometrul
+     * @param {number} seconds - Durata jocului în secunde
+     */
+    updateTimer(seconds) {
+        if (this.elements.timer) {
+            this.elements.timer.textContent = `${seconds}s`;
+        }
+    }
+
+    /**
+     * Ascunde/afișează tabla de joc pentru pauză
+     * @param {boolean} paused - Dacă jocul e în pauză
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        this.elements.numbersContainer?.classList.toggle('paused', paused);
+        this.elements.heapTree?.classList.toggle('paused', paused);
+
+        if (this.elements.pauseOverlay) {
+            this.elements.pauseOverlay.style.display = paused ? 'flex' : 'none';
+        }
+        if (this.elements.pauseBtn) {
+            this.elements.pauseBtn.textContent = paused ? '▶ Continuă' : '❚❚ Pauză';
+        }
+
+        // Indicația ar dezvălui mutarea cât timp tabla e ascunsă
+        this.renderExpectedMove();
     }
 
     /**
@@ -277,16 +1006,151 @@ export class UIManager {
         }
     }
 
+    /**
+     * Afișează progresul adversarului din duel, sub bara proprie
+     * @param {Object|null} progress - `{ name, completed, total, percentage, mistakes }`
+     *                                 (null ascunde bara)
+     */
+    updateOpponentProgress(progress) {
+        const { opponentProgress, opponentName, opponentProgressText, opponentProgressFill } = this.elements;
+        if (!opponentProgress) return;
+
+        if (!progress) {
+            opponentProgress.style.display = 'none';
+            return;
+        }
+
+        if (opponentName) {
+            opponentName.textContent = progress.mistakes > 0
+                ? `${progress.name} · ${progress.mistakes} greșeli`
+                : progress.name;
+        }
+        if (opponentProgressText) {
+            opponentProgressText.textContent = `${progress.completed} / ${progress.total}`;
+        }
+        if (opponentProgressFill) {
+            opponentProgressFill.style.width = `${progress.percentage}%`;
+        }
+        opponentProgress.style.display = 'block';
+    }
+
+    /**
+     * Citește adresa serverului de duel și codul camerei
+     * @returns {Object} - `{ server, room }`
+     */
+    getDuelSettings() {
+        return {
+            server: this.elements.duelServer?.value.trim() || '',
+            room: this.elements.duelRoom?.value.trim() || ''
+        };
+    }
+
+    /**
+     * Completează adresa serverului de duel
+     * @param {string} url - Adresa
+     */
+    setDuelServerInput(url) {
+        if (this.elements.duelServer && !this.elements.duelServer.value) {
+            this.elements.duelServer.value = url;
+        }
+    }
+
+    /**
+     * Actualizează panoul duelului
+     * @param {boolean} connected - Dacă jucătorul e într-un duel (sau se conectează)
+     * @param {string} status - Textul de stare
+     */
+    setDuelState(connected, status) {
+        if (this.elements.duelJoinBtn) {
+            this.elements.duelJoinBtn.disabled = connected;
+        }
+        if (this.elements.duelLeaveBtn) {
+            this.elements.duelLeaveBtn.disabled = !connected;
+        }
+        if (this.elements.duelServer) {
+            this.elements.duelServer.disabled = connected;
+        }
+        if (this.elements.duelRoom) {
+            this.elements.duelRoom.disabled = connected;
+        }
+        if (this.elements.duelStatus && status) {
+            this.elements.duelStatus.textContent = status;
+        }
+    }
+
+    /**
+     * Actualizează panoul temei
+     * @param {Object|null} state - `{ title, exercise, total, phase, remaining, status }`,
+     *                              unde `phase` e 'playing', 'ended' sau 'finished'
+     *                              (null = nicio temă încărcată)
+     */
+    setAssignmentState(state) {
+        const {
+            assignmentTitle, assignmentProgress, assignmentExercise, assignmentTime, loadAssignmentBtn,
+            assignmentControls, assignmentNextBtn, assignmentSkipBtn, assignmentEndControls,
+            assignmentReportBtn, assignmentStatus
+        } = this.elements;
+        const show = (element, visible, display = 'flex') => {
+            if (element) element.style.display = visible ? display : 'none';
+        };
+
+        if (assignmentTitle) {
+            assignmentTitle.textContent = state ? `Temă: ${state.title}` : 'Temă';
+        }
+        show(assignmentProgress, Boolean(state));
+        show(loadAssignmentBtn, !state, 'block');
+        show(assignmentControls, state && state.phase !== 'finished');
+        show(assignmentEndControls, Boolean(state));
+
+        if (!state) {
+            if (assignmentStatus) assignmentStatus.textContent = this.assignmentHint;
+            return;
+        }
+
+        if (assignmentExercise) {
+            assignmentExercise.textContent = `Exercițiul ${state.exercise} din ${state.total}`;
+        }
+        if (assignmentTime) {
+            assignmentTime.textContent = state.remaining !== null && state.phase === 'playing'
+                ? `⏱ ${state.remaining}s`
+                : '';
+            assignmentTime.classList.toggle('low', state.remaining !== null && state.remaining <= 10);
+        }
+        if (assignmentNextBtn) {
+            assignmentNextBtn.disabled = state.phase !== 'ended';
+        }
+        if (assignmentSkipBtn) {
+            assignmentSkipBtn.disabled = state.phase !== 'playing';
+        }
+        if (assignmentReportBtn) {
+            assignmentReportBtn.disabled = state.phase !== 'finished';
+        }
+        if (assignmentStatus && state.status) {
+            assignmentStatus.textContent = state.status;
+        }
+    }
+
     /**
      * Actualizează indicația pentru mutarea așteptată
      * @param {string} hint - Textul indicației
      */
     setExpectedMoveHint(hint) {
+        this.expectedMoveHint = hint || '';
+        this.renderExpectedMove();
+    }
+
+    /**
+     * Afișează ultima indicație primită, doar dacă indicațiile sunt activate
+     * și jocul nu e în pauză
+     */
+    renderExpectedMove() {
+        const visible = Boolean(this.expectedMoveHint) && this.areHintsEnabled() && !this.paused;
+
         if (this.elements.expectedMove) {
-            this.elements.expectedMove.style.display = hint ? 'block' : 'none';
+            this.elements.expectedMove.style.display = visible ? 'block' : 'none';
         }
         if (this.elements.expectedMoveText) {
-            this.elements.expectedMoveText.textContent = hint || '';
+            this.elements.expectedMoveText.textContent = this.expectedMoveHint;
         }
     }
 
@@ -323,9 +1187,24 @@ export class UIManager {
      * @param {Object} data - Datele pentru modal
      */
     showSuccessModal(data) {
+        const { players } = data;
+
+        if (this.elements.modalIntro) {
+            this.elements.modalIntro.textContent = players
+                ? 'Ați sortat împreună vectorul folosind'
+                : 'Ai sortat cu succes vectorul folosind';
+        }
         if (this.elements.modalAlgorithm) {
             this.elements.modalAlgorithm.textContent = data.algorithmName;
         }
+
+        // Când s-a jucat pe rând, comparația jucătorilor înlocuiește rezumatul individual
+        if (this.elements.modalStats) {
+            this.elements.modalStats.style.display = players ? 'none' : '';
+        }
+        if (this.elements.modalPlayers) {
+            this.renderPlayers(players);
+        }
         if (this.elements.modalMoves) {
             this.elements.modalMoves.textContent = data.totalMoves;
         }
@@ -335,11 +1214,324 @@ export class UIManager {
         if (this.elements.modalTime) {
             this.elements.modalTime.textContent = `${data.duration}s`;
         }
+        if (this.elements.modalStability) {
+            this.renderStability(data.stability);
+        }
+        if (this.elements.modalRecord) {
+            this.renderRecord(data.record);
+        }
+        if (this.elements.modalCampaign) {
+            this.renderCampaignResult(data.campaign);
+        }
+        if (this.elements.modalComplexity) {
+            this.renderComplexity(data.complexity);
+        }
         if (this.elements.successModal) {
             this.elements.successModal.style.display = 'block';
         }
     }
 
+    /**
+     * Afișează în modal clasamentul jucătorilor care au mutat pe rând
+     * @param {Object[]|null} players - Rezultatele din `GameEngine.getPlayersReport()`
+     */
+    renderPlayers(players) {
+        const { modalPlayers, modalPlayersTitle, modalPlayersTable } = this.elements;
+
+        if (!players) {
+            modalPlayers.style.display = 'none';
+            return;
+        }
+
+        const winners = players.filter(player => player.rank === 1).map(player => player.name);
+        if (modalPlayersTitle) {
+            modalPlayersTitle.textContent = winners.length > 1
+                ? `Egalitate între ${winners.join(' și ')}!`
+                : `🏆 ${winners[0]} a câștigat!`;
+        }
+
+        if (modalPlayersTable) {
+            modalPlayersTable.innerHTML = '';
+            players.forEach(player => {
+                const row = document.createElement('tr');
+                row.classList.toggle('winner', player.rank === 1);
+                [
+                    player.rank,
+                    player.name,
+                    player.correctMoves,
+                    player.incorrectMoves,
+                    `${player.efficiency}%`,
+                    `${player.duration}s`
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                modalPlayersTable.appendChild(row);
+            });
+        }
+
+        modalPlayers.style.display = 'block';
+    }
+
+    /**
+     * Afișează în modal dacă sortarea a păstrat ordinea elementelor egale
+     * @param {Object|undefined} stability - Raportul din `getStabilityReport()`
+     */
+    renderStability(stability) {
+        const element = this.elements.modalStability;
+
+        if (!stability?.hasDuplicates) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const [inversion] = stability.inversions;
+        element.textContent = stability.stable
+            ? 'Sortare stabilă: elementele egale și-au păstrat ordinea inițială.'
+            : `Sortare instabilă: ${inversion.value}${inversion.first} a ajuns înaintea lui ${inversion.value}${inversion.second}.`;
+        element.classList.toggle('stable', stability.stable);
+        element.classList.toggle('unstable', !stability.stable);
+        element.style.display = 'block';
+    }
+
+    /**
+     * Afișează în modal numărul de operații ale algoritmului și ale celorlalți algoritmi
+     * @param {Object|undefined} complexity - Raportul din `getComplexityReport()`
+     */
+    renderComplexity(complexity) {
+        const { modalComplexity, complexitySummary, complexityTable, complexityChart } = this.elements;
+
+        if (!complexity) {
+            modalComplexity.style.display = 'none';
+            return;
+        }
+
+        const { algorithmKey, n, worstCase, counts, algorithms, growth } = complexity;
+        const moves = (operations) => operations.writes > 0
+            ? `${operations.writes} scrieri`
+            : `${operations.swaps} interschimbări`;
+
+        if (complexitySummary) {
+            complexitySummary.textContent =
+                `Pentru n = ${n}, algoritmul a făcut ${counts.comparisons} comparații și ${moves(counts)}. ` +
+                `Metodele elementare fac cel mult n(n−1)/2 = ${worstCase} comparații.`;
+        }
+
+        if (complexityTable) {
+            complexityTable.innerHTML = '';
+            algorithms.forEach(algorithm => {
+                const row = document.createElement('tr');
+                row.classList.toggle('current', algorithm.key === algorithmKey);
+                [algorithm.name, algorithm.comparisons, moves(algorithm)].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                complexityTable.appendChild(row);
+            });
+        }
+
+        if (complexityChart) {
+            this.renderGrowthChart(complexityChart, growth, algorithms, algorithmKey);
+        }
+
+        modalComplexity.open = false;
+        modalComplexity.style.display = 'block';
+    }
+
+    /**
+     * Desenează graficul comparațiilor în funcție de lungimea vectorului
+     * @param {HTMLElement} container - Elementul în care se desenează
+     * @param {Object} growth - `{ sizes, reference, series }` din `measureGrowth()`
+     * @param {Object[]} algorithms - Algoritmii (pentru nume și ordinea legendei)
+     * @param {string} currentKey - Algoritmul jocului, evidențiat în grafic
+     */
+    renderGrowthChart(container, growth, algorithms, currentKey) {
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const width = 340;
+        const height = 180;
+        const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+        const { sizes, reference, series } = growth;
+        const maxValue = Math.max(...reference, ...Object.values(series).flat(), 1);
+        const maxSize = sizes[sizes.length - 1];
+
+        const x = (size) => padding.left + (size / maxSize) * (width - padding.left - padding.right);
+        const y = (value) => height - padding.bottom - (value / maxValue) * (height - padding.top - padding.bottom);
+
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('class', 'complexity-chart-svg');
+
+        const addText = (textX, textY, content, className) => {
+            const text = document.createElementNS(svgNs, 'text');
+            text.setAttribute('x', textX);
+            text.setAttribute('y', textY);
+            text.setAttribute('class', className);
+            text.textContent = content;
+            svg.appendChild(text);
+        };
+
+        const addLine = (values, className, color) => {
+            const line = document.createElementNS(svgNs, 'polyline');
+            line.setAttribute('points', values.map((value, i) => `${x(sizes[i])},${y(value)}`).join(' '));
+            line.setAttribute('class', className);
+            if (color) {
+                line.setAttribute('stroke', color);
+            }
+            svg.appendChild(line);
+        };
+
+        // Axele și etichetele lor
+        const axes = document.createElementNS(svgNs, 'polyline');
+        axes.setAttribute('points', [
+            `${padding.left},${padding.top}`,
+            `${padding.left},${height - padding.bottom}`,
+            `${width - padding.right},${height - padding.bottom}`
+        ].join(' '));
+        axes.setAttribute('class', 'chart-axis');
+        svg.appendChild(axes);
+        sizes.forEach(size => addText(x(size), height - 6, size, 'chart-label'));
+        addText(padding.left - 4, y(maxValue) + 4, maxValue, 'chart-label chart-label-y');
+        addText(padding.left - 4, y(0), 0, 'chart-label chart-label-y');
+
+        // Referința n(n-1)/2, apoi câte o linie pentru fiecare algoritm
+        addLine(reference, 'chart-reference');
+        algorithms.forEach(algorithm => {
+            const className = algorithm.key === currentKey ? 'chart-series current' : 'chart-series';
+            addLine(series[algorithm.key], className, CHART_COLORS[algorithm.key]);
+        });
+
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        legend.innerHTML = algorithms
+            .map(algorithm => `<span><i style="background: ${CHART_COLORS[algorithm.key]}"></i>${algorithm.name}</span>`)
+            .join('') + '<span><i class="reference"></i>n(n−1)/2</span>';
+
+        container.innerHTML = '';
+        container.append(svg, legend);
+    }
+
+    /**
+     * Afișează în modal comparația cu recordul personal
+     * @param {Object|undefined} record - Rezultatul returnat de `scoreStore.add()`
+     */
+    renderRecord(record) {
+        const element = this.elements.modalRecord;
+
+        if (!record) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const { isRecord, previousBest } = record;
+        if (isRecord) {
+            element.textContent = `🏆 Record nou! Rezultatul anterior: ${previousBest.efficiency}% în ${previousBest.duration}s.`;
+        } else if (previousBest) {
+            element.textContent = `Recordul tău: ${previousBest.efficiency}% în ${previousBest.duration}s.`;
+        } else {
+            element.textContent = 'Primul tău rezultat la această metodă și dificultate a fost salvat.';
+        }
+        element.classList.toggle('new-record', isRecord);
+        element.style.display = 'block';
+    }
+
+    /**
+     * Afișează în modal rezultatul unui nivel din campanie
+     * @param {Object|null} campaign - Rezultatul din `CampaignProgress.recordResult()`
+     */
+    renderCampaignResult(campaign) {
+        const element = this.elements.modalCampaign;
+
+        if (!campaign) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const { level, passed, efficiency, nextLevel } = campaign;
+        element.innerHTML = '';
+        element.classList.toggle('passed', passed);
+
+        if (!passed) {
+            element.textContent = `Nivelul ${level.id} cere cel puțin ${level.minEfficiency}% eficiență; ` +
+                `ai obținut ${efficiency}%. Mai încearcă!`;
+        } else if (nextLevel) {
+            element.append(`⭐ Nivelul ${level.id} trecut! `);
+            const link = document.createElement('a');
+            link.href = `game.html?level=${nextLevel.id}`;
+            link.textContent = `Nivelul ${nextLevel.id}: ${nextLevel.name} →`;
+            element.append(link);
+        } else {
+            element.textContent = '🏆 Ai terminat toată campania! Felicitări!';
+        }
+        element.style.display = 'block';
+    }
+
+    /**
+     * Afișează/ascunde panoul de reluare (folosit și de demonstrație)
+     * @param {boolean} visible
+     * @param {string} title - Titlul panoului
+     */
+    showReplayPanel(visible, title = 'Reluare') {
+        if (this.elements.replayPanel) {
+            this.elements.replayPanel.style.display = visible ? 'block' : 'none';
+        }
+        if (this.elements.replayTitle) {
+            this.elements.replayTitle.textContent = title;
+        }
+    }
+
+    /**
+     * Actualizează controalele reluării
+     * @param {Playback} playback - Redarea (`position`, `total`, `playing`, `speed`)
+     * @param {Object} labels - `{ one, many }`, ce se numără (ex. „Pasul” / „pași”)
+     */
+    updateReplayControls(playback, labels = { one: 'Acțiunea', many: 'acțiuni' }) {
+        const { position, total, playing, speed } = playback;
+        const finished = position >= total;
+
+        if (this.elements.replayProgress) {
+            this.elements.replayProgress.textContent = finished
+                ? `Redare încheiată (${total} ${labels.many})`
+                : `${labels.one} ${position} din ${total}`;
+        }
+        if (this.elements.replayBackBtn) {
+            this.elements.replayBackBtn.style.display = playback.onBack ? '' : 'none';
+            this.elements.replayBackBtn.disabled = !playback.canStepBack();
+        }
+        if (this.elements.replayPlayBtn) {
+            this.elements.replayPlayBtn.textContent = playing ? '❚❚ Pauză' : '▶ Redă';
+            this.elements.replayPlayBtn.disabled = finished;
+        }
+        if (this.elements.replayStepBtn) {
+            this.elements.replayStepBtn.disabled = finished;
+        }
+        if (this.elements.replaySpeed) {
+            this.elements.replaySpeed.value = speed;
+        }
+        if (this.elements.replaySpeedValue) {
+            this.elements.replaySpeedValue.textContent = `${speed}×`;
+        }
+    }
+
+    /**
+     * Descarcă un fișier generat în browser
+     * @param {string} filename - Numele fișierului
+     * @param {string} content - Conținutul
+     * @param {string} type - Tipul MIME
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Închide modalul de succes
      */
@@ -363,6 +1555,21 @@ export class UIManager {
         if (states.reset !== undefined && this.elements.resetBtn) {
             this.elements.resetBtn.disabled = !states.reset;
         }
+        if (states.skip !== undefined && this.elements.skipBtn) {
+            this.elements.skipBtn.disabled = !states.skip;
+        }
+        if (states.pause !== undefined && this.elements.pauseBtn) {
+            this.elements.pauseBtn.disabled = !states.pause;
+        }
+        if (states.undo !== undefined && this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !states.undo;
+        }
+        if (states.redo !== undefined && this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !states.redo;
+        }
+        if (states.demo !== undefined && this.elements.demoBtn) {
+            this.elements.demoBtn.disabled = !states.demo;
+        }
     }
 
     /**
@@ -372,15 +1579,25 @@ export class UIManager {
         this.setAlgorithmTitle('Începe un joc nou');
         this.setStatusMessage('Apasă "Start Joc" pentru a începe sortarea!');
         this.deselectAllCards();
-        this.updateStats({ totalMoves: 0, correctMoves: 0, efficiency: 100 });
+        this.updateStats({ totalMoves: 0, correctMoves: 0, efficiency: 100, undos: 0 });
         this.updateProgress({ completed: 0, total: 0, percentage: 0 });
         this.setExpectedMoveHint('');
-        this.setButtonStates({ start: true, check: false, reset: false });
+        this.setButtonStates({
+            start: true, check: false, reset: false, skip: false, undo: false, redo: false, pause: false, demo: false
+        });
+        this.setPaused(false);
+        this.updateTimer(0);
+        this.setPuzzleCode(null);
+        this.setTurnIndicator();
 
         if (this.elements.numbersContainer) {
             this.elements.numbersContainer.innerHTML = '';
+            this.elements.numbersContainer.classList.remove('with-buffer');
         }
 
+        this.hideHeapTree();
+        this.showSortedRegion(null);
+
         if (this.elements.algorithmDesc) {
             this.elements.algorithmDesc.textContent =
                 'Selectează un algoritm pentru a vedea descrierea.';
@@ -390,6 +1607,8 @@ export class UIManager {
             this.elements.algorithmRules.innerHTML = '';
         }
 
+        this.setPseudocode([]);
+
         // Deselectează butoanele de metodă
         this.elements.methodButtons?.forEach(btn => {
             btn.classList.remove('active');
@@ -0,0 +1,202 @@
+/**
+ * race.js - Cursa algoritmilor
+ *
+ * Același vector este sortat în paralel pe două table, fiecare cu alt algoritm.
+ * Jucătorul poate muta pe oricare tablă sau poate lăsa redarea automată să
+ * avanseze ambele table cu câte un pas deodată.
+ */
+
+import { ALGORITHMS } from './modules/algorithms.js';
+import { generateSeed } from './modules/random.js';
+import { RaceBoard } from './modules/race-board.js';
+import { Playback } from './modules/playback.js';
+
+/**
+ * Algoritmii aleși implicit pentru cele două table
+ */
+const DEFAULT_ALGORITHMS = ['bubble', 'quick'];
+
+/**
+ * Controller-ul paginii de cursă
+ */
+class RaceController {
+    constructor() {
+        this.boards = [];
+        this.playback = null;
+        this.finishOrder = [];
+        this.elements = {};
+    }
+
+    /**
+     * Inițializează pagina
+     */
+    init() {
+        this.elements = {
+            algorithmSelects: [
+                document.getElementById('raceAlgorithmLeft'),
+                document.getElementById('raceAlgorithmRight')
+            ],
+            difficulty: document.getElementById('raceDifficulty'),
+            direction: document.getElementById('raceDirection'),
+            startBtn: document.getElementById('raceStartBtn'),
+            playBtn: document.getElementById('racePlayBtn'),
+            stepBtn: document.getElementById('raceStepBtn'),
+            speed: document.getElementById('raceSpeed'),
+            speedValue: document.getElementById('raceSpeedValue'),
+            summary: document.getElementById('raceSummary')
+        };
+
+        this.elements.algorithmSelects.forEach((select, index) => {
+            Object.values(ALGORITHMS).forEach(algorithm => {
+                const option = document.createElement('option');
+                option.value = algorithm.key;
+                option.textContent = algorithm.name;
+                select.appendChild(option);
+            });
+            select.value = DEFAULT_ALGORITHMS[index];
+        });
+
+        this.boards = ['raceBoardLeft', 'raceBoardRight'].map(id => new RaceBoard(document.getElementById(id), {
+            onProgress: () => this.updateSummary(),
+            onComplete: (board) => this.handleBoardComplete(board)
+        }));
+
+        this.elements.startBtn?.addEventListener('click', () => this.startRace());
+        this.elements.playBtn?.addEventListener('click', () => this.playback?.toggle());
+        this.elements.stepBtn?.addEventListener('click', () => {
+            this.playback?.pause();
+            this.playback?.step();
+        });
+        this.elements.speed?.addEventListener('input', () => {
+            this.playback?.setSpeed(this.elements.speed.value);
+            if (this.elements.speedValue) {
+                this.elements.speedValue.textContent = `${this.elements.speed.value}×`;
+            }
+        });
+
+        this.startRace();
+    }
+
+    /**
+     * Pornește o cursă nouă pe un vector nou
+     */
+    startRace() {
+        this.playback?.pause();
+
+        // Același seed produce același vector pe ambele table
+        const options = {
+            seed: generateSeed(),
+            difficulty: this.elements.difficulty?.value,
+            direction: this.elements.direction?.value
+        };
+
+        const totals = this.boards.map((board, index) =>
+            board.start(this.elements.algorithmSelects[index].value, options).totalSteps
+        );
+
+        this.finishOrder = [];
+        this.playback = new Playback({
+            total: Math.max(...totals),
+            onStep: () => this.advanceAll(),
+            onChange: (playback) => this.updatePlaybackControls(playback)
+        });
+        this.playback.setSpeed(this.elements.speed?.value);
+        this.updateSummary();
+    }
+
+    /**
+     * Avansează cu câte un pas fiecare tablă care nu a terminat
+     * @returns {Promise}
+     */
+    async advanceAll() {
+        await Promise.all(this.boards.map(board => board.advance()));
+    }
+
+    /**
+     * Reține ordinea în care tablele termină sortarea
+     * @param {RaceBoard} board - Tabla care a terminat
+     */
+    handleBoardComplete(board) {
+        if (!this.finishOrder.includes(board)) {
+            this.finishOrder.push(board);
+        }
+
+        // Redarea automată nu mai are ce avansa
+        if (this.boards.every(item => item.isFinished())) {
+            this.playback?.pause();
+        }
+
+        this.updateSummary();
+    }
+
+    /**
+     * Actualizează butoanele redării automate
+     * @param {Playback} playback - Redarea
+     */
+    updatePlaybackControls(playback) {
+        const finished = playback.isFinished() || this.boards.every(board => board.isFinished());
+
+        if (this.elements.playBtn) {
+            this.elements.playBtn.textContent = playback.playing ? '❚❚ Pauză' : '▶ Redă automat';
+            this.elements.playBtn.disabled = finished;
+        }
+        if (this.elements.stepBtn) {
+            this.elements.stepBtn.disabled = finished;
+        }
+    }
+
+    /**
+     * Afișează comparația live dintre cele două table
+     */
+    updateSummary() {
+        const { summary } = this.elements;
+        if (!summary) return;
+
+        const [winner] = this.finishOrder;
+        if (winner) {
+            const { totalSteps, name } = this.describeBoard(winner);
+            const others = this.boards
+                .filter(board => board !== winner)
+                .map(board => {
+                    const { completed, totalSteps: steps, name: otherName } = this.describeBoard(board);
+                    return board.isFinished()
+                        ? `${otherName}: ${steps} pași`
+                        : `${otherName}: ${completed} din ${steps} pași`;
+                });
+            summary.textContent = `🏁 ${name} a terminat primul, după ${totalSteps} pași. ${others.join(' · ')}`;
+            summary.className = 'race-summary finished';
+            if (this.playback && this.boards.every(board => board.isFinished())) {
+                this.updatePlaybackControls(this.playback);
+            }
+            return;
+        }
+
+        summary.textContent = this.boards
+            .map(board => {
+                const { name, completed, totalSteps, percentage } = this.describeBoard(board);
+                return `${name}: ${completed} / ${totalSteps} pași (${percentage}%)`;
+            })
+            .join('  vs  ');
+        summary.className = 'race-summary';
+    }
+
+    /**
+     * Rezumatul unei table: numele algoritmului și progresul
+     * @param {RaceBoard} board - Tabla
+     * @returns {Object} - `{ name, completed, totalSteps, percentage }`
+     */
+    describeBoard(board) {
+        const { progress, algorithm } = board.engine.getGameState();
+        return {
+            name: algorithm.name,
+            completed: progress.completed,
+            totalSteps: progress.total,
+            percentage: progress.percentage
+        };
+    }
+}
+
+// Inițializează pagina când DOM-ul e gata
+document.addEventListener('DOMContentLoaded', () => {
+    new RaceController().init();
+});
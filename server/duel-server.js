@@ -0,0 +1,262 @@
+/**
+ * duel-server.js - Server local pentru duelul în rețea
+ *
+ * Servește fișierele jocului și, pe același port, conexiunile WebSocket ale
+ * duelului. Primul jucător dintr-o cameră alege puzzle-ul; când sosește al
+ * doilea, amândoi primesc același algoritm și același seed. Serverul
+ * retransmite progresul fiecăruia adversarului și anunță cine a terminat primul.
+ *
+ * Pornire: `node server/duel-server.js [port]`, apoi pe fiecare calculator
+ * se deschide `http://<adresa-serverului>:<port>/game.html`.
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { acceptWebSocket } from './websocket.js';
+import {
+    DEFAULT_DUEL_PORT,
+    DUEL_MESSAGES,
+    normalizeRoomCode,
+    parseDuelMessage
+} from '../modules/duel-protocol.js';
+
+/**
+ * Directorul jocului (părintele directorului `server`)
+ */
+const GAME_ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+/**
+ * Tipurile de conținut pentru fișierele servite
+ */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Numărul de jucători dintr-un duel
+ */
+const PLAYERS_PER_ROOM = 2;
+
+/**
+ * Lungimea maximă a numelui unui jucător
+ */
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Trimite un mesaj unui jucător
+ * @param {Object} player - `{ connection, name }`
+ * @param {Object} message - Mesajul
+ */
+function send(player, message) {
+    player.connection.send(JSON.stringify(message));
+}
+
+/**
+ * Păstrează din progresul trimis de un jucător doar câmpurile cunoscute
+ * @param {Object} message - Mesajul PROGRESS
+ * @returns {Object} - `{ completed, total, percentage, mistakes, finished }`
+ */
+function sanitizeProgress(message) {
+    const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+
+    return {
+        completed: count(message.completed),
+        total: count(message.total),
+        percentage: Math.min(100, count(message.percentage)),
+        mistakes: count(message.mistakes),
+        finished: message.finished === true
+    };
+}
+
+/**
+ * Servește un fișier al jocului
+ * @param {import('node:http').IncomingMessage} request
+ * @param {import('node:http').ServerResponse} response
+ * @param {string} root - Directorul servit
+ */
+async function serveFile(request, response, root) {
+    try {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const relative = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+        const file = join(root, relative);
+
+        // Nu se servesc fișiere din afara jocului sau ascunse (ex. .git)
+        const hidden = relative.split(/[\\/]/).some(part => part.startsWith('.'));
+        if (request.method !== 'GET' || hidden || !file.startsWith(root + sep)) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        const content = await readFile(file);
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream'
+        });
+        response.end(content);
+    } catch (error) {
+        response.writeHead(404).end();
+    }
+}
+
+/**
+ * Creează serverul de duel (HTTP + WebSocket)
+ * @param {Object} options
+ * @param {string} options.root - Directorul cu fișierele jocului
+ * @returns {import('node:http').Server} - Serverul, încă nepornit
+ */
+export function createDuelServer({ root = GAME_ROOT } = {}) {
+    const rooms = new Map();
+
+    /**
+     * Scoate un jucător din camera lui și îl anunță pe adversar
+     * @param {Object} player - Jucătorul deconectat
+     */
+    const leave = (player) => {
+        const room = rooms.get(player.room);
+        if (!room) return;
+
+        // Un duel întrerupt nu poate continua; camera se închide
+        rooms.delete(player.room);
+        room.players
+            .filter(other => other !== player)
+            .forEach(other => {
+                other.room = null;
+                send(other, { type: DUEL_MESSAGES.OPPONENT_LEFT });
+            });
+    };
+
+    /**
+     * Tratează intrarea unui jucător într-o cameră
+     * @param {Object} player - Jucătorul
+     * @param {Object} message - Mesajul JOIN
+     */
+    const join = (player, message) => {
+        if (player.room) {
+            send(player, { type: DUEL_MESSAGES.ERROR, message: 'Ești deja într-un duel.' });
+            return;
+        }
+
+        let code;
+        try {
+            code = normalizeRoomCode(message.room);
+        } catch (error) {
+            send(player, { type: DUEL_MESSAGES.ERROR, message: error.message });
+            return;
+        }
+
+        const room = rooms.get(code) || { players: [], puzzle: null, winner: null };
+        if (room.players.length >= PLAYERS_PER_ROOM) {
+            send(player, { type: DUEL_MESSAGES.ERROR, message: `Camera ${code} este plină.` });
+            return;
+        }
+
+        player.name = String(message.name ?? '').trim().slice(0, MAX_NAME_LENGTH) || 'Anonim';
+        if (room.players.some(other => other.name === player.name)) {
+            player.name = `${player.name} (2)`;
+        }
+        player.room = code;
+
+        // Primul jucător alege puzzle-ul
+        if (room.players.length === 0) {
+            if (!message.puzzle || typeof message.puzzle !== 'object') {
+                send(player, { type: DUEL_MESSAGES.ERROR, message: 'Lipsește puzzle-ul duelului.' });
+                player.room = null;
+                return;
+            }
+            room.puzzle = message.puzzle;
+        }
+
+        room.players.push(player);
+        rooms.set(code, room);
+
+        if (room.players.length < PLAYERS_PER_ROOM) {
+            send(player, { type: DUEL_MESSAGES.WAITING, room: code });
+            return;
+        }
+
+        const [first, second] = room.players;
+        send(first, { type: DUEL_MESSAGES.START, puzzle: room.puzzle, opponent: second.name });
+        send(second, { type: DUEL_MESSAGES.START, puzzle: room.puzzle, opponent: first.name });
+    };
+
+    /**
+     * Retransmite progresul unui jucător și anunță câștigătorul
+     * @param {Object} player - Jucătorul
+     * @param {Object} message - Mesajul PROGRESS
+     */
+    const progress = (player, message) => {
+        const room = rooms.get(player.room);
+        if (!room || room.players.length < PLAYERS_PER_ROOM) return;
+
+        const update = sanitizeProgress(message);
+        room.players
+            .filter(other => other !== player)
+            .forEach(other => send(other, { type: DUEL_MESSAGES.OPPONENT_PROGRESS, ...update }));
+
+        if (update.finished && !room.winner) {
+            room.winner = player.name;
+            room.players.forEach(other => send(other, {
+                type: DUEL_MESSAGES.RESULT,
+                winner: player.name,
+                won: other === player
+            }));
+        }
+    };
+
+    const server = createServer((request, response) => {
+        serveFile(request, response, root);
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const connection = acceptWebSocket(request, socket);
+        if (!connection) return;
+
+        const player = { connection, name: null, room: null };
+
+        connection.on('message', (data) => {
+            const message = parseDuelMessage(data);
+            if (!message) return;
+
+            if (message.type === DUEL_MESSAGES.JOIN) {
+                join(player, message);
+            } else if (message.type === DUEL_MESSAGES.PROGRESS) {
+                progress(player, message);
+            }
+        });
+        connection.on('close', () => leave(player));
+    });
+
+    return server;
+}
+
+/**
+ * Adresele din rețeaua locală la care serverul poate fi găsit de alte calculatoare
+ * @returns {string[]}
+ */
+function getLocalAddresses() {
+    return Object.values(networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+// Pornește serverul când fișierul e rulat direct
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.argv[2] || process.env.PORT) || DEFAULT_DUEL_PORT;
+
+    createDuelServer().listen(port, () => {
+        console.log(`Serverul de duel rulează pe portul ${port}.`);
+        ['localhost', ...getLocalAddresses()].forEach(host => {
+            console.log(`  http://${host}:${port}/game.html`);
+        });
+    });
+}
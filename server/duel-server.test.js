@@ -0,0 +1,221 @@
+/**
+ * duel-server.test.js - Teste pentru serverul de duel
+ *
+ * Rulare: `npm test` (folosește `node:test`, fără dependențe instalate)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+
+import { createDuelServer } from './duel-server.js';
+import { DUEL_MESSAGES } from '../modules/duel-protocol.js';
+
+/**
+ * Construiește un cadru text mascat, ca un client WebSocket
+ * @param {Object} message - Mesajul
+ * @returns {Buffer}
+ */
+function encodeClientFrame(message) {
+    const payload = Buffer.from(JSON.stringify(message), 'utf8');
+    const mask = randomBytes(4);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+
+    // Mesajele din teste au sub 126 de octeți
+    return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]);
+}
+
+/**
+ * Client WebSocket minimal, peste un socket TCP
+ * @param {number} port - Portul serverului
+ * @param {Set} sockets - Socket-urile închise la finalul testului
+ * @returns {Promise<Object>} - `{ socket, send, next }`
+ */
+function openClient(port, sockets) {
+    return new Promise((resolve, reject) => {
+        const socket = connect(port, '127.0.0.1');
+        sockets.add(socket);
+        const messages = [];
+        const waiting = [];
+        let buffer = Buffer.alloc(0);
+        let upgraded = false;
+
+        const deliver = (message) => {
+            const waiter = waiting.shift();
+            if (waiter) waiter(message);
+            else messages.push(message);
+        };
+
+        socket.on('error', reject);
+        socket.on('connect', () => {
+            socket.write([
+                'GET / HTTP/1.1',
+                'Host: localhost',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                ''
+            ].join('\r\n'));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            if (!upgraded) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                upgraded = true;
+                buffer = buffer.subarray(end + 4);
+                resolve({
+                    socket,
+                    send: (message) => socket.write(encodeClientFrame(message)),
+                    next: () => (messages.length > 0
+                        ? Promise.resolve(messages.shift())
+                        : new Promise(done => waiting.push(done)))
+                });
+            }
+
+            // Cadrele serverului sunt nemascate și, aici, scurte
+            while (buffer.length >= 2 && buffer.length >= 2 + (buffer[1] & 0x7F)) {
+                const length = buffer[1] & 0x7F;
+                if ((buffer[0] & 0x0F) === 0x1) {
+                    deliver(JSON.parse(buffer.subarray(2, 2 + length).toString('utf8')));
+                }
+                buffer = buffer.subarray(2 + length);
+            }
+        });
+    });
+}
+
+/**
+ * Pornește un server de duel pe un port liber și rulează un test cu el
+ *
+ * La final se închid toate socket-urile, și cele rămase pe jumătate deschise,
+ * astfel încât un test picat nu blochează procesul.
+ * @param {Function} run - `async (port, sockets) => {}`
+ */
+async function withServer(run) {
+    const server = createDuelServer();
+    const sockets = new Set();
+    server.on('connection', socket => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        await run(server.address().port, sockets);
+    } finally {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * Așteaptă un mesaj, cu limită de timp
+ * @param {Promise} promise - Mesajul așteptat
+ * @returns {Promise<Object>}
+ */
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Mesajul nu a sosit la timp.')), 2000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Puzzle-ul propus de primul jucător
+ */
+const PUZZLE = { algorithmKey: 'bubble', options: { seed: 390 } };
+
+/**
+ * Intră cu doi clienți în aceeași cameră și așteaptă începerea duelului
+ * @param {number} port - Portul serverului
+ * @param {Set} sockets - Socket-urile închise la finalul testului
+ * @returns {Promise<Object[]>} - Cei doi clienți, fiecare cu mesajul START primit (`start`)
+ */
+async function startDuel(port, sockets) {
+    const first = await openClient(port, sockets);
+    first.send({ type: DUEL_MESSAGES.JOIN, room: 'TEST', name: 'Ana', puzzle: PUZZLE });
+    assert.equal((await withTimeout(first.next())).type, DUEL_MESSAGES.WAITING);
+
+    // Puzzle-ul celui de-al doilea jucător e ignorat
+    const second = await openClient(port, sockets);
+    second.send({ type: DUEL_MESSAGES.JOIN, room: 'TEST', name: 'Mihai', puzzle: { algorithmKey: 'heap', options: {} } });
+    first.start = await withTimeout(first.next());
+    second.start = await withTimeout(second.next());
+    assert.equal(first.start.type, DUEL_MESSAGES.START);
+    assert.equal(second.start.type, DUEL_MESSAGES.START);
+
+    return [first, second];
+}
+
+test('ambii jucători primesc puzzle-ul primului jucător', () => withServer(async (port, sockets) => {
+    const [first, second] = await startDuel(port, sockets);
+
+    assert.deepEqual(first.start, { type: DUEL_MESSAGES.START, puzzle: PUZZLE, opponent: 'Mihai' });
+    assert.deepEqual(second.start, { type: DUEL_MESSAGES.START, puzzle: PUZZLE, opponent: 'Ana' });
+}));
+
+test('progresul ajunge la adversar doar cu câmpurile cunoscute', () => withServer(async (port, sockets) => {
+    const [first, second] = await startDuel(port, sockets);
+
+    first.send({
+        type: DUEL_MESSAGES.PROGRESS,
+        completed: 3,
+        total: 10,
+        percentage: 250,
+        mistakes: -2,
+        finished: 'da',
+        nickname: '<b>Ana</b>'
+    });
+    assert.deepEqual(await withTimeout(second.next()), {
+        type: DUEL_MESSAGES.OPPONENT_PROGRESS,
+        completed: 3,
+        total: 10,
+        percentage: 100,
+        mistakes: 0,
+        finished: false
+    });
+}));
+
+test('doar primul jucător care termină câștigă, iar rezultatul se trimite o singură dată', () => withServer(async (port, sockets) => {
+    const [first, second] = await startDuel(port, sockets);
+    const finished = { type: DUEL_MESSAGES.PROGRESS, completed: 5, total: 5, percentage: 100, mistakes: 0, finished: true };
+
+    first.send(finished);
+    assert.equal((await withTimeout(second.next())).type, DUEL_MESSAGES.OPPONENT_PROGRESS);
+    assert.deepEqual(await withTimeout(first.next()), { type: DUEL_MESSAGES.RESULT, winner: 'Ana', won: true });
+    assert.deepEqual(await withTimeout(second.next()), { type: DUEL_MESSAGES.RESULT, winner: 'Ana', won: false });
+
+    second.send(finished);
+    assert.equal((await withTimeout(first.next())).finished, true);
+
+    // Mesajele de control sosesc după un eventual al doilea rezultat, deci
+    // dacă ele urmează imediat, serverul nu a mai anunțat un câștigător
+    second.send({ type: DUEL_MESSAGES.PROGRESS, completed: 1 });
+    first.send({ type: DUEL_MESSAGES.PROGRESS, completed: 2 });
+    assert.equal((await withTimeout(first.next())).type, DUEL_MESSAGES.OPPONENT_PROGRESS);
+    assert.equal((await withTimeout(second.next())).type, DUEL_MESSAGES.OPPONENT_PROGRESS);
+}));
+
+test('adversarul e anunțat când un jucător trimite cadrul de închidere', () => withServer(async (port, sockets) => {
+    const [first, second] = await startDuel(port, sockets);
+
+    first.socket.write(Buffer.from([0x88, 0x80, 0, 0, 0, 0]));
+    assert.equal((await withTimeout(second.next())).type, DUEL_MESSAGES.OPPONENT_LEFT);
+}));
+
+test('adversarul e anunțat când un jucător dispare fără cadru de închidere', () => withServer(async (port, sockets) => {
+    const [first, second] = await startDuel(port, sockets);
+
+    // Doar FIN-ul TCP, ca la un browser închis brusc
+    first.socket.end();
+    assert.equal((await withTimeout(second.next())).type, DUEL_MESSAGES.OPPONENT_LEFT);
+
+    // Camera s-a închis, deci un jucător nou o deschide din nou
+    const third = await openClient(port, sockets);
+    third.send({ type: DUEL_MESSAGES.JOIN, room: 'TEST', name: 'Ioana', puzzle: PUZZLE });
+    assert.equal((await withTimeout(third.next())).type, DUEL_MESSAGES.WAITING);
+}));
@@ -0,0 +1,243 @@
+/**
+ * websocket.js - Implementare minimă a protocolului WebSocket (RFC 6455)
+ *
+ * Serverul de duel schimbă doar mesaje text scurte, așa că e suficient:
+ * handshake-ul, cadre text (eventual fragmentate), ping/pong și închiderea.
+ * Astfel serverul rulează cu Node, fără dependențe instalate.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/**
+ * GUID-ul fix din specificație, folosit la calculul `Sec-WebSocket-Accept`
+ */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Mărimea maximă a unui mesaj primit (mesajele duelului au sub 1 KB)
+ */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Codurile de operație ale cadrelor
+ */
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Construiește un cadru nemascat (serverul nu își maschează cadrele)
+ * @param {number} opcode - Codul de operație
+ * @param {Buffer} payload - Conținutul
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * O conexiune WebSocket acceptată
+ *
+ * Evenimente: `message` (text), `close`.
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('node:net').Socket} socket - Socket-ul preluat de la cererea HTTP
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.receive(chunk));
+
+        // Serverul HTTP păstrează socket-urile pe jumătate deschise; un client care
+        // dispare fără cadru de închidere trimite doar FIN, deci conexiunea se încheie aici
+        socket.on('end', () => this.handleClose());
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Trimite un mesaj text
+     * @param {string} text - Mesajul
+     */
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    /**
+     * Închide conexiunea
+     * @param {number} code - Codul de închidere (1000 = normal)
+     */
+    close(code = 1000) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(OPCODES.CLOSE, payload));
+        this.handleClose();
+    }
+
+    /**
+     * Adaugă datele primite și procesează toate cadrele complete
+     * @param {Buffer} chunk - Datele primite
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Citește un cadru complet din buffer
+     * @returns {Object|null} - `{ fin, opcode, payload }` sau null dacă cadrul nu a sosit complet
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clienții trebuie să își mascheze cadrele
+        if (!masked || length > MAX_MESSAGE_SIZE) {
+            this.close(1002);
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Tratează un cadru primit
+     * @param {Object} frame - `{ fin, opcode, payload }`
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            }
+
+            case OPCODES.PING:
+                this.socket.write(encodeFrame(OPCODES.PONG, payload));
+                break;
+
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+
+            case OPCODES.PONG:
+                break;
+
+            default:
+                // Duelul nu folosește mesaje binare
+                this.close(1003);
+        }
+    }
+
+    /**
+     * Marchează conexiunea ca închisă (o singură dată)
+     */
+    handleClose() {
+        if (this.closed) return;
+
+        this.closed = true;
+
+        // După `close()` socket-ul se închide singur, după ce trimite cadrul de închidere
+        if (!this.socket.writableEnded) {
+            this.socket.destroy();
+        }
+        this.emit('close');
+    }
+}
+
+/**
+ * Acceptă o cerere de upgrade la WebSocket
+ * @param {import('node:http').IncomingMessage} request - Cererea HTTP
+ * @param {import('node:net').Socket} socket - Socket-ul cererii
+ * @returns {WebSocketConnection|null} - Conexiunea sau null dacă cererea nu e validă
+ */
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}